@@ -69,7 +69,7 @@ if %errorlevel% neq 0 (
 REM Create package
 echo Creating package...
 cd package
-7z a -tzip ..\adlocaite-broadsign.x-html-package index.html js\*.js css\*.css assets\* -x!.DS_Store
+7z a -tzip ..\adlocaite-broadsign.x-html-package index.html js\*.js css\*.css assets\* -x!.DS_Store -x!assets\README.md
 cd ..
 
 REM Check if package was created
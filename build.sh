@@ -79,7 +79,9 @@ zip -r ../adlocaite-broadsign.x-html-package \
   js/*.js \
   js/vendor/*.js \
   css/*.css \
+  assets \
   -x "*.DS_Store" \
+  -x "assets/README.md" \
   -x "*/__pycache__/*" \
   -x "*/node_modules/*"
 
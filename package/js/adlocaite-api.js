@@ -5,10 +5,23 @@
  * - Offer requests
  * - Offer responses (accept/reject)
  * - Playout confirmation
+ * - Proof-of-play evidence
  * - Cacheable assets retrieval
  */
 
 class AdlocaiteAPIClient {
+  /**
+   * Structured rejection reasons (rejection_reason of POST /offers/response)
+   * so the exchange can stop sending unplayable creatives to a screen
+   */
+  static REJECTION_REASONS = {
+    MEDIA_PRELOAD_FAILED: 'media_preload_failed',
+    UNSUPPORTED_MEDIA: 'unsupported_media',
+    DURATION_MISMATCH: 'duration_mismatch',
+    ORIENTATION_MISMATCH: 'orientation_mismatch',
+    OFFER_EXPIRED: 'offer_expired'
+  };
+
   constructor(config) {
     this.config = config;
     this.baseUrl = config.apiBaseUrl;
@@ -187,6 +200,7 @@ class AdlocaiteAPIClient {
    * @param {number} options.minBidCents - Minimum bid in cents (supports sub-cent decimals)
    * @param {boolean} options.vast - Request VAST XML format
    * @param {boolean} options.demo - Demo mode
+   * @param {object} options.screenContext - Targeting signals (see BroadsignAdapter.getScreenContext)
    * @returns {Promise<object|string>} Offer data (JSON) or VAST XML (string)
    */
   async requestOffer(screenId, options = {}) {
@@ -203,6 +217,8 @@ class AdlocaiteAPIClient {
       params.append('demo', 'true');
     }
 
+    this.appendScreenContext(params, options.screenContext);
+
     const url = `${this.baseUrl}/offers/request/${screenId}?${params.toString()}`;
 
     this.log(`Requesting offer for screen: ${screenId}`);
@@ -224,11 +240,41 @@ class AdlocaiteAPIClient {
     }
   }
 
+  /**
+   * Append screen context targeting parameters (unknown values are left out)
+   *
+   * @param {URLSearchParams} params
+   * @param {object} screenContext - See BroadsignAdapter.getScreenContext()
+   */
+  appendScreenContext(params, screenContext) {
+    if (!screenContext) {
+      return;
+    }
+
+    const targeting = {
+      display_unit_id: screenContext.displayUnitId,
+      lat: screenContext.latitude,
+      lon: screenContext.longitude,
+      location_code: screenContext.locationCode,
+      frame_width: screenContext.frameWidth,
+      frame_height: screenContext.frameHeight,
+      orientation: screenContext.orientation,
+      slot_duration_ms: screenContext.slotDurationMs,
+      impressions_per_hour: screenContext.impressionsPerHour
+    };
+
+    Object.entries(targeting).forEach(([name, value]) => {
+      if (value !== null && value !== undefined) {
+        params.append(name, value);
+      }
+    });
+  }
+
   /**
    * Request offer using external screen ID
    * 
    * @param {string} externalId - External screen identifier
-   * @param {object} options - Request options
+   * @param {object} options - Request options (see requestOffer)
    * @returns {Promise<object|string>} Offer data (JSON) or VAST XML (string)
    */
   async requestOfferByExternalId(externalId, options = {}) {
@@ -245,6 +291,8 @@ class AdlocaiteAPIClient {
       params.append('demo', 'true');
     }
 
+    this.appendScreenContext(params, options.screenContext);
+
     const url = `${this.baseUrl}/offers/request/external-id/${externalId}?${params.toString()}`;
 
     this.log(`Requesting offer for external ID: ${externalId}`);
@@ -274,6 +322,7 @@ class AdlocaiteAPIClient {
    * @param {string} responseData.action - 'accept' or 'reject'
    * @param {number} responseData.accepted_price_cents - Price if accepting (supports sub-cent decimals)
    * @param {string} responseData.rejection_reason - Reason if rejecting
+   * @param {object} responseData.rejection_details - Context of the rejection (optional)
    * @returns {Promise<object>} Response confirmation
    */
   async respondToOffer(offerId, responseData) {
@@ -300,12 +349,14 @@ class AdlocaiteAPIClient {
    * 
    * @param {string} offerId - Offer ID
    * @param {number} acceptedPriceCents - Accepted price in cents (supports sub-cent decimals)
+   * @param {number} impressionMultiplier - Audience impressions of this play (optional)
    * @returns {Promise<object>} Response with deal_id
    */
-  async acceptOffer(offerId, acceptedPriceCents) {
+  async acceptOffer(offerId, acceptedPriceCents, impressionMultiplier = null) {
     return this.respondToOffer(offerId, {
       action: 'accept',
-      accepted_price_cents: acceptedPriceCents
+      accepted_price_cents: acceptedPriceCents,
+      ...(impressionMultiplier !== null ? { impression_multiplier: impressionMultiplier } : {})
     });
   }
 
@@ -313,16 +364,75 @@ class AdlocaiteAPIClient {
    * Reject an offer (convenience method)
    * 
    * @param {string} offerId - Offer ID
-   * @param {string} rejectionReason - Reason for rejection
+   * @param {string} rejectionReason - Reason for rejection (see REJECTION_REASONS)
+   * @param {object} details - Context for reporting, e.g. { mime_type, duration_ms }
    * @returns {Promise<object>} Rejection confirmation
    */
-  async rejectOffer(offerId, rejectionReason = 'Not suitable') {
+  async rejectOffer(offerId, rejectionReason = 'Not suitable', details = null) {
     return this.respondToOffer(offerId, {
       action: 'reject',
-      rejection_reason: rejectionReason
+      rejection_reason: rejectionReason,
+      ...(details ? { rejection_details: details } : {})
     });
   }
 
+  /**
+   * Send proof-of-play evidence (a screenshot of the playing creative) to
+   * config.proofOfPlayEndpoint. Fire-and-forget: sent once without retries
+   * and never throws -- evidence must not affect playback or tracking.
+   *
+   * @param {object} evidence - { deal_id, frame_id, timestamp, image, ... }
+   */
+  async sendProofOfPlay(evidence) {
+    const url = this.config.proofOfPlayEndpoint;
+    if (!url) {
+      return;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    const token = this.getProofOfPlayToken(url);
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const body = JSON.stringify(evidence);
+    try {
+      await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        // keepalive survives the page teardown at slot end, but browsers
+        // refuse keepalive bodies over 64 KB
+        keepalive: body.length < 60000,
+        credentials: 'omit'
+      });
+      this.log(`Proof of play sent for deal ${evidence.deal_id}`);
+    } catch (err) {
+      this.error('Failed to send proof of play', err.message);
+    }
+  }
+
+  /**
+   * Bearer token for a proof-of-play endpoint. The publisher API key is only
+   * sent to endpoints under apiBaseUrl; any other endpoint gets
+   * config.proofOfPlayToken, or no credentials when that is empty.
+   *
+   * @param {string} url - Proof-of-play endpoint
+   * @returns {string|null}
+   */
+  getProofOfPlayToken(url) {
+    try {
+      const endpoint = new URL(url);
+      const base = new URL(this.baseUrl.replace(/\/*$/, '/'));
+      if (endpoint.origin === base.origin && endpoint.pathname.startsWith(base.pathname)) {
+        return this.apiKey;
+      }
+    } catch (e) {
+      // Relative or malformed URL -- never gets the API key
+    }
+    return this.config.proofOfPlayToken || null;
+  }
+
 }
 
 // Make class globally available
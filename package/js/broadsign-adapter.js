@@ -6,11 +6,20 @@
  * - Screen identification via BroadSignObject
  * - Player state management
  * - Broadsign-specific logging
+ * - Additional frames driven by the same page (config.frames)
  */
 
 class BroadsignAdapter {
-  constructor(config) {
+  /**
+   * @param {object} config
+   * @param {object|null} frame - Additional frame (config.frames entry)
+   *   this adapter stands for: its frameId, resolution and slotDurationMs
+   *   replace frame_id, frame_resolution and expected_slot_duration_ms of
+   *   the BroadSignObject. null for the page's own frame.
+   */
+  constructor(config, frame = null) {
     this.config = config;
+    this.frame = frame;
     this.screenId = null;
     this.isPlaying = false;
     this.startTime = null;
@@ -89,6 +98,218 @@ class BroadsignAdapter {
     return null;
   }
 
+  /**
+   * Get a single BroadSignObject property
+   * Broadsign passes all properties as strings; empty values return null.
+   *
+   * @param {string} name - Property name (e.g. 'display_unit_id')
+   * @returns {string|null}
+   */
+  getBroadSignProperty(name) {
+    const override = this.getFrameOverride(name);
+    if (override !== undefined && override !== null && override !== '') {
+      return String(override);
+    }
+
+    const bsObject = this.getBroadSignObject();
+    if (!bsObject) {
+      return null;
+    }
+
+    const value = bsObject[name];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    return String(value);
+  }
+
+  /**
+   * Value of a BroadSignObject property set by the additional frame
+   * (undefined for the page's own frame)
+   */
+  getFrameOverride(name) {
+    if (!this.frame) {
+      return undefined;
+    }
+    return {
+      frame_id: this.frame.frameId,
+      frame_resolution: this.frame.resolution,
+      expected_slot_duration_ms: this.frame.slotDurationMs
+    }[name];
+  }
+
+  /**
+   * Whether this adapter stands for the page's own frame rather than an
+   * additional frame (config.frames). Only the page's own frame controls
+   * page-wide state like document.title and rotation.
+   */
+  isMainFrame() {
+    return !this.frame;
+  }
+
+  /**
+   * Get the expected slot length in ms (BroadSignObject.expected_slot_duration_ms)
+   * Returns 0 when unknown.
+   */
+  getExpectedSlotDurationMs() {
+    const value = parseInt(this.getBroadSignProperty('expected_slot_duration_ms'));
+    return isNaN(value) || value < 0 ? 0 : value;
+  }
+
+  /**
+   * Get the pixel size of the frame the ad is rendered in.
+   * Uses BroadSignObject.frame_resolution, then display_unit_resolution
+   * (both "1920x1080"), then the window size.
+   *
+   * @returns {{width: number, height: number}|null}
+   */
+  getFrameResolution() {
+    const resolution = this.parseResolution(this.getBroadSignProperty('frame_resolution'))
+      || this.parseResolution(this.getBroadSignProperty('display_unit_resolution'));
+    if (resolution) {
+      return resolution;
+    }
+
+    if (typeof window !== 'undefined' && window.innerWidth > 0 && window.innerHeight > 0) {
+      return { width: window.innerWidth, height: window.innerHeight };
+    }
+    return null;
+  }
+
+  /**
+   * Orientation of a resolution
+   *
+   * @param {{width: number, height: number}|null} resolution
+   * @returns {string|null} 'landscape', 'portrait', 'square' or null when unknown
+   */
+  getOrientation(resolution) {
+    if (!resolution) {
+      return null;
+    }
+    if (resolution.width === resolution.height) {
+      return 'square';
+    }
+    return resolution.width > resolution.height ? 'landscape' : 'portrait';
+  }
+
+  /**
+   * Orientation of the frame (frame_resolution, else display_unit_resolution)
+   * and the clockwise rotation in degrees needed to show it.
+   * config.frameRotation forces 0, 90, 180 or 270. 'auto' rotates by 90 when
+   * the page renders in the other orientation than the frame, i.e. a
+   * portrait frame on a display mounted on its side but driven in landscape.
+   * frame_resolution and display_unit_resolution alone do not tell: a
+   * portrait frame in a landscape layout differs from its display unit too.
+   * Additional frames (config.frames) are zones of the page and never rotate it.
+   *
+   * @returns {{orientation: string|null, rotation: number}}
+   */
+  getFrameLayout() {
+    const frame = this.parseResolution(this.getBroadSignProperty('frame_resolution'))
+      || this.parseResolution(this.getBroadSignProperty('display_unit_resolution'));
+    const orientation = this.getOrientation(frame);
+    if (!this.isMainFrame()) {
+      return { orientation, rotation: 0 };
+    }
+
+    const configured = this.config.frameRotation ?? 'auto';
+    if (configured !== 'auto') {
+      const rotation = parseInt(configured);
+      return { orientation, rotation: [0, 90, 180, 270].includes(rotation) ? rotation : 0 };
+    }
+
+    const viewport = typeof window !== 'undefined' && window.innerWidth > 0 && window.innerHeight > 0
+      ? this.getOrientation({ width: window.innerWidth, height: window.innerHeight })
+      : null;
+    const rotated = orientation && viewport && orientation !== 'square' && viewport !== 'square' &&
+      orientation !== viewport;
+
+    return { orientation, rotation: rotated ? 90 : 0 };
+  }
+
+  /**
+   * Get the screen context buyers target on, typed from the
+   * BroadSignObject strings. Unknown values are null.
+   *
+   * @returns {object} { displayUnitId, latitude, longitude, locationCode,
+   *   frameWidth, frameHeight, orientation, slotDurationMs, impressionsPerHour }
+   */
+  getScreenContext() {
+    const frame = this.parseResolution(this.getBroadSignProperty('frame_resolution'));
+    const latLong = this.parseLatLong(this.getBroadSignProperty('display_unit_lat_long'));
+
+    return {
+      displayUnitId: this.getBroadSignProperty('display_unit_id'),
+      latitude: latLong ? latLong.latitude : null,
+      longitude: latLong ? latLong.longitude : null,
+      locationCode: this.getBroadSignProperty('display_unit_location_code'),
+      frameWidth: frame ? frame.width : null,
+      frameHeight: frame ? frame.height : null,
+      orientation: this.getFrameLayout().orientation,
+      slotDurationMs: this.getExpectedSlotDurationMs() || null,
+      impressionsPerHour: this.parseNumber(this.getBroadSignProperty('impressions_per_hour'))
+    };
+  }
+
+  /**
+   * Audience impressions this play is worth (DOOH buyers pay per audience
+   * impression, not per play). Uses BroadSignObject.expected_impressions,
+   * else impressions_per_hour scaled to the slot length, else 1.
+   *
+   * @returns {{multiplier: number, source: string}}
+   */
+  getImpressionMultiplier() {
+    const round = value => Math.round(value * 10000) / 10000;
+
+    const expected = this.parseNumber(this.getBroadSignProperty('expected_impressions'));
+    if (expected !== null && expected >= 0) {
+      return { multiplier: round(expected), source: 'expected_impressions' };
+    }
+
+    const perHour = this.parseNumber(this.getBroadSignProperty('impressions_per_hour'));
+    const slotMs = this.getExpectedSlotDurationMs();
+    if (perHour !== null && perHour >= 0 && slotMs > 0) {
+      return { multiplier: round(perHour * slotMs / 3600000), source: 'impressions_per_hour' };
+    }
+
+    return { multiplier: 1, source: 'default' };
+  }
+
+  /**
+   * Parse a "1920x1080" resolution string
+   *
+   * @returns {{width: number, height: number}|null}
+   */
+  parseResolution(value) {
+    const match = /^(\d+)\s*x\s*(\d+)$/i.exec(value || '');
+    if (!match || parseInt(match[1]) <= 0 || parseInt(match[2]) <= 0) {
+      return null;
+    }
+    return { width: parseInt(match[1]), height: parseInt(match[2]) };
+  }
+
+  /**
+   * Parse a "45.5017,-73.5673" coordinate string
+   *
+   * @returns {{latitude: number, longitude: number}|null}
+   */
+  parseLatLong(value) {
+    const parts = (value || '').split(',').map(part => parseFloat(part));
+    if (parts.length !== 2 || parts.some(isNaN) ||
+        Math.abs(parts[0]) > 90 || Math.abs(parts[1]) > 180) {
+      return null;
+    }
+    return { latitude: parts[0], longitude: parts[1] };
+  }
+
+  /**
+   * Parse a numeric BroadSignObject string; null when missing or invalid
+   */
+  parseNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+
   /**
    * Get screen ID from Broadsign
    * Uses BroadSignObject.frame_id as external identifier
@@ -99,6 +320,15 @@ class BroadsignAdapter {
       return this.screenId;
     }
 
+    // Additional frame: its frame_id comes from config.frames
+    if (!this.isMainFrame()) {
+      this.screenId = this.getBroadSignProperty('frame_id');
+      if (!this.screenId) {
+        this.error('config.frames entry without frameId');
+      }
+      return this.screenId;
+    }
+
     // Try to get frame ID from BroadSignObject (as external_id for API)
     if (this.isBroadsignEnvironment()) {
       try {
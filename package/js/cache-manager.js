@@ -0,0 +1,565 @@
+/**
+ * Cache Manager
+ *
+ * Persistent creative asset cache so repeat creatives do not have to be
+ * downloaded again every slot:
+ * - Assets are stored in Cache Storage, keyed by absolute MediaFile URL
+ *   (assetKey)
+ * - An index in localStorage keeps size, SHA-256 and last use of every asset
+ * - The least recently used assets are evicted to stay within
+ *   assetCacheMaxBytes
+ * - Cached assets are checked against the index size and SHA-256 before
+ *   use and played from a blob URL
+ * - Changes to the cache and its index run one at a time (exclusive), also
+ *   across the frames and pages of a player (Web Locks)
+ * - Downloads the player waits for are timed; the measured speed
+ *   (getBandwidthKbps) lets the player decide between streaming and full
+ *   buffering
+ *
+ * The cache is best effort: any failure means the asset is streamed from
+ * the network as before.
+ */
+
+class CacheManager {
+  static CACHE_NAME = 'adlocaite-assets-v1';
+  static INDEX_KEY = 'adlocaite.assetCache';
+  static BANDWIDTH_KEY = 'adlocaite.bandwidthKbps';
+  static DEFAULT_MAX_BYTES = 500 * 1024 * 1024;
+  static LOCK_NAME = 'adlocaite-asset-cache';
+
+  /**
+   * Queue of cache changes where Web Locks are unavailable (shared by all
+   * instances of the page)
+   */
+  static queue = Promise.resolve();
+
+  /**
+   * Downloads smaller than this are dominated by latency and are not used
+   * for the bandwidth estimate
+   */
+  static MIN_BANDWIDTH_SAMPLE_BYTES = 256 * 1024;
+
+  constructor(config) {
+    this.config = config;
+    this.objectUrls = new Set();
+    this.pendingStores = new Map();
+  }
+
+  log(message, data = null) {
+    if (this.config.debugMode) {
+      const timestamp = new Date().toISOString();
+      console.log(`[${timestamp}] [Cache Manager]`, message, data || '');
+    }
+  }
+
+  error(message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.error(`[${timestamp}] [Cache Manager Error]`, message, data || '');
+  }
+
+  /**
+   * Whether the cache is enabled and Cache Storage + localStorage are usable
+   */
+  isEnabled() {
+    if (this.config.assetCacheEnabled === false) {
+      return false;
+    }
+    try {
+      return typeof caches !== 'undefined' && typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (e) {
+      // Storage access denied (e.g. opaque origin)
+      return false;
+    }
+  }
+
+  getMaxBytes() {
+    return this.config.assetCacheMaxBytes ?? CacheManager.DEFAULT_MAX_BYTES;
+  }
+
+  /**
+   * Key of an asset in the cache and the index: its absolute, normalized
+   * URL, the form Cache Storage reports in keys()
+   *
+   * @param {string} url - MediaFile URL (may be relative)
+   * @returns {string}
+   */
+  assetKey(url) {
+    try {
+      return new URL(url, location.href).href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Drop cached assets the index does not know about (e.g. after the index
+   * was cleared) and index entries whose asset is gone. Index entries of an
+   * older version under a non-normalized URL are re-keyed first. Runs
+   * exclusively, so an asset being stored meanwhile is not taken for an
+   * orphan. Never rejects.
+   */
+  async initialize() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    try {
+      await this.exclusive(async () => {
+        const cache = await caches.open(CacheManager.CACHE_NAME);
+        const cachedUrls = (await cache.keys()).map(request => request.url);
+        const index = {};
+        Object.entries(this.readIndex()).forEach(([url, entry]) => {
+          index[this.assetKey(url)] = entry;
+        });
+        this.writeIndex(index);
+
+        await Promise.all(cachedUrls
+          .filter(url => !index[url])
+          .map(url => cache.delete(url)));
+
+        Object.keys(index)
+          .filter(url => !cachedUrls.includes(url))
+          .forEach(url => this.removeFromIndex(url));
+
+        const current = this.readIndex();
+        this.log(`Asset cache: ${Object.keys(current).length} asset(s), ${this.getTotalBytes(current)} bytes`);
+      });
+    } catch (err) {
+      this.error('Asset cache initialization failed', err.message);
+    }
+  }
+
+  /**
+   * Run `task` once no other change to the cache or its index is running:
+   * under a Web Lock where available (shared by every page of the origin),
+   * else in this page's queue
+   *
+   * @param {Function} task - async function
+   * @returns {Promise} Result of task
+   */
+  exclusive(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(CacheManager.LOCK_NAME, task);
+    }
+
+    const run = CacheManager.queue.then(task);
+    CacheManager.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get a blob URL for a cached asset. The asset is checked against the
+   * size and SHA-256 in its index entry first (the hash only where
+   * SubtleCrypto is available); a corrupt asset is removed.
+   *
+   * @param {string} url - MediaFile URL
+   * @returns {Promise<string|null>} Blob URL (release with releaseObjectUrl),
+   *   or null when the asset is not (validly) cached
+   */
+  async getObjectUrl(url) {
+    url = this.assetKey(url);
+    if (!this.isEnabled() || !this.readIndex()[url]) {
+      return null;
+    }
+
+    try {
+      const cache = await caches.open(CacheManager.CACHE_NAME);
+      const response = await cache.match(url);
+      if (!response) {
+        this.removeFromIndex(url);
+        return null;
+      }
+
+      const blob = await response.blob();
+      const entry = this.readIndex()[url];
+      const sha256 = entry?.sha256 && blob.size === entry.size
+        ? await this.digest(await blob.arrayBuffer())
+        : null;
+      if (!entry || blob.size !== entry.size || (sha256 && sha256 !== entry.sha256)) {
+        this.error(`Integrity check failed, removing cached asset: ${url}`);
+        await this.remove(url);
+        return null;
+      }
+
+      // A synchronous read-modify-write, nothing interleaves with it
+      this.touch(url);
+
+      const objectUrl = URL.createObjectURL(blob);
+      this.objectUrls.add(objectUrl);
+      this.log(`Cache hit: ${url}`);
+      return objectUrl;
+    } catch (err) {
+      this.error(`Cache lookup failed: ${url}`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Download an asset into the cache (concurrent calls for the same URL
+   * share one download). Never rejects.
+   *
+   * @param {string} url - MediaFile URL
+   * @param {string} type - MIME type, used when the server sends none
+   * @returns {Promise<boolean>} true when the asset is cached
+   */
+  store(url, type = '') {
+    if (!this.isEnabled()) {
+      return Promise.resolve(false);
+    }
+    url = this.assetKey(url);
+    if (this.pendingStores.has(url)) {
+      return this.pendingStores.get(url);
+    }
+
+    const pending = this.download(url, type)
+      .catch(err => {
+        this.error(`Caching failed: ${url}`, err.message);
+        return false;
+      })
+      .finally(() => this.pendingStores.delete(url));
+
+    this.pendingStores.set(url, pending);
+    return pending;
+  }
+
+  /**
+   * Download a whole asset before it is played (full buffering) and return
+   * a blob URL for it. The asset is cached as well when the cache is enabled.
+   *
+   * @param {string} url - MediaFile URL
+   * @param {string} type - MIME type, used when the server sends none
+   * @param {object} options - See fetchAsset (maxBytes, timeout, onProgress)
+   * @returns {Promise<string>} Blob URL (release with releaseObjectUrl)
+   */
+  async downloadObjectUrl(url, type, options = {}) {
+    const asset = await this.fetchAsset(url, options);
+    const contentType = asset.contentType || type;
+
+    if (this.isEnabled()) {
+      await this.put(url, asset.buffer, contentType)
+        .catch(err => this.error(`Caching failed: ${url}`, err.message));
+    }
+
+    const objectUrl = URL.createObjectURL(new Blob([asset.buffer], { type: contentType }));
+    this.objectUrls.add(objectUrl);
+    return objectUrl;
+  }
+
+  /**
+   * Fetch an asset into memory, check it arrived complete and record the
+   * download speed (measure).
+   *
+   * @param {string} url - Asset URL (the host must allow CORS)
+   * @param {object} options
+   * @param {number} options.maxBytes - Abort when the asset is larger (0 = no cap)
+   * @param {number} options.timeout - Abort after this many ms (0 = none);
+   *   the error then has `timedOut` set
+   * @param {Function} options.onProgress - Called with (loadedBytes, totalBytes|null)
+   * @param {boolean} options.measure - Add the download to the bandwidth
+   *   estimate; off for background stores, often answered from the HTTP cache
+   * @returns {Promise<{buffer: ArrayBuffer, contentType: string}>}
+   */
+  async fetchAsset(url, options = {}) {
+    const { maxBytes = 0, timeout = 0, onProgress = null, measure = true } = options;
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    let timedOut = false;
+    const abortTimer = timeout
+      ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout)
+      : null;
+
+    try {
+      const response = await fetch(url, { mode: 'cors', credentials: 'omit', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      // Content-Length is the encoded size when the response is compressed
+      const contentLength = response.headers.get('Content-Encoding')
+        ? NaN
+        : parseInt(response.headers.get('Content-Length'));
+      const totalBytes = isNaN(contentLength) ? null : contentLength;
+      if (maxBytes && totalBytes > maxBytes) {
+        throw new Error(`Asset too large (${totalBytes} bytes, cap ${maxBytes})`);
+      }
+
+      const buffer = await this.readBody(response, totalBytes, maxBytes, onProgress);
+      if (totalBytes !== null && buffer.byteLength !== totalBytes) {
+        throw new Error(`Incomplete download (${buffer.byteLength} of ${totalBytes} bytes)`);
+      }
+
+      if (measure) {
+        this.recordBandwidth(buffer.byteLength, Date.now() - startedAt);
+      }
+      return { buffer, contentType: response.headers.get('Content-Type') || '' };
+    } catch (err) {
+      if (timedOut) {
+        const timeoutError = new Error(`Download timeout after ${timeout}ms`);
+        timeoutError.timedOut = true;
+        throw timeoutError;
+      }
+      throw err;
+    } finally {
+      clearTimeout(abortTimer);
+    }
+  }
+
+  /**
+   * Read a response body chunk by chunk, reporting progress and enforcing
+   * the size cap. With a known size the chunks are copied straight into
+   * one buffer, so the asset is held in memory only once.
+   */
+  async readBody(response, totalBytes, maxBytes, onProgress) {
+    if (!response.body || !response.body.getReader) {
+      const buffer = await response.arrayBuffer();
+      if (maxBytes && buffer.byteLength > maxBytes) {
+        throw new Error(`Asset too large (${buffer.byteLength} bytes, cap ${maxBytes})`);
+      }
+      if (onProgress) onProgress(buffer.byteLength, totalBytes);
+      return buffer;
+    }
+
+    const reader = response.body.getReader();
+    const bytes = totalBytes !== null ? new Uint8Array(totalBytes) : null;
+    const chunks = [];
+    let loadedBytes = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      if (bytes && loadedBytes + value.byteLength > totalBytes) {
+        reader.cancel();
+        throw new Error(`Download larger than announced (${totalBytes} bytes)`);
+      }
+      if (bytes) {
+        bytes.set(value, loadedBytes);
+      } else {
+        chunks.push(value);
+      }
+      loadedBytes += value.byteLength;
+      if (maxBytes && loadedBytes > maxBytes) {
+        reader.cancel();
+        throw new Error(`Asset too large (over cap ${maxBytes} bytes)`);
+      }
+      if (onProgress) onProgress(loadedBytes, totalBytes);
+    }
+
+    if (bytes) {
+      return loadedBytes === totalBytes ? bytes.buffer : bytes.buffer.slice(0, loadedBytes);
+    }
+
+    // Unknown size: one concatenation at the end
+    const concatenated = new Uint8Array(loadedBytes);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      concatenated.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+    return concatenated.buffer;
+  }
+
+  /**
+   * Fetch an asset in the background and put it into the cache (not
+   * measured: the browser has usually downloaded it already)
+   */
+  async download(url, type) {
+    const asset = await this.fetchAsset(url, {
+      maxBytes: this.getMaxBytes(),
+      timeout: this.config.assetTimeout || 15000,
+      measure: false
+    });
+    return this.put(url, asset.buffer, asset.contentType || type);
+  }
+
+  /**
+   * Put a downloaded asset into the cache, evicting least recently used
+   * assets to make room. The asset is hashed here, once; an unchanged asset
+   * that is already cached is not written again.
+   *
+   * @returns {Promise<boolean>} false when the asset is empty or too large
+   */
+  async put(url, buffer, type) {
+    url = this.assetKey(url);
+    const size = buffer.byteLength;
+    if (size === 0 || size > this.getMaxBytes()) {
+      this.log(`Not caching ${url} (${size} bytes)`);
+      return false;
+    }
+
+    const sha256 = await this.digest(buffer);
+
+    return this.exclusive(async () => {
+      const now = Date.now();
+      const known = this.readIndex()[url];
+      if (known && sha256 && known.sha256 === sha256 && known.size === size) {
+        this.touch(url, now);
+        this.log(`Already cached: ${url}`);
+        return true;
+      }
+
+      await this.evict(size, url);
+
+      const cache = await caches.open(CacheManager.CACHE_NAME);
+      await cache.put(url, new Response(buffer, {
+        headers: {
+          'Content-Type': type || 'application/octet-stream',
+          'Content-Length': String(size)
+        }
+      }));
+
+      const index = this.readIndex();
+      index[url] = { size, sha256, storedAt: now, lastUsed: now };
+      this.writeIndex(index);
+
+      this.log(`Cached ${url} (${size} bytes)`);
+      return true;
+    });
+  }
+
+  /**
+   * Measured download speed in kbit/s: a moving average of past downloads
+   * on this player, else the browser's estimate (navigator.connection).
+   *
+   * @returns {number|null} null when unknown
+   */
+  getBandwidthKbps() {
+    try {
+      const measured = parseFloat(localStorage.getItem(CacheManager.BANDWIDTH_KEY));
+      if (measured > 0) {
+        return measured;
+      }
+    } catch (e) {
+      // Storage unavailable
+    }
+
+    const downlinkMbps = typeof navigator !== 'undefined' && navigator.connection
+      ? navigator.connection.downlink
+      : 0;
+    return downlinkMbps > 0 ? downlinkMbps * 1000 : null;
+  }
+
+  /**
+   * Add a download to the bandwidth estimate (exponential moving average,
+   * the latest download weighs 30%)
+   */
+  recordBandwidth(bytes, durationMs) {
+    if (bytes < CacheManager.MIN_BANDWIDTH_SAMPLE_BYTES || durationMs <= 0) {
+      return;
+    }
+
+    const sampleKbps = (bytes * 8) / durationMs;
+    try {
+      const previous = parseFloat(localStorage.getItem(CacheManager.BANDWIDTH_KEY));
+      const estimate = previous > 0 ? previous * 0.7 + sampleKbps * 0.3 : sampleKbps;
+      localStorage.setItem(CacheManager.BANDWIDTH_KEY, String(Math.round(estimate)));
+      this.log(`Download speed ${Math.round(sampleKbps)} kbit/s (estimate ${Math.round(estimate)})`);
+    } catch (e) {
+      // Storage unavailable -- no estimate kept
+    }
+  }
+
+  /**
+   * Remove least recently used assets until `bytes` more fit into
+   * assetCacheMaxBytes. Only called from within exclusive().
+   *
+   * @param {number} bytes - Size of the asset about to be stored
+   * @param {string} url - URL of that asset (replaced, not evicted)
+   */
+  async evict(bytes, url) {
+    const index = this.readIndex();
+    delete index[url];
+
+    const maxBytes = this.getMaxBytes();
+    const byLastUse = Object.keys(index).sort((a, b) => index[a].lastUsed - index[b].lastUsed);
+    let totalBytes = this.getTotalBytes(index);
+
+    for (const oldUrl of byLastUse) {
+      if (totalBytes + bytes <= maxBytes) {
+        break;
+      }
+      totalBytes -= index[oldUrl].size;
+      this.log(`Evicting ${oldUrl}`);
+      await this.removeAsset(oldUrl);
+    }
+  }
+
+  /**
+   * Remove an asset from the cache and the index
+   */
+  remove(url) {
+    url = this.assetKey(url);
+    return this.exclusive(() => this.removeAsset(url));
+  }
+
+  async removeAsset(url) {
+    this.removeFromIndex(url);
+    try {
+      const cache = await caches.open(CacheManager.CACHE_NAME);
+      await cache.delete(url);
+    } catch (err) {
+      this.error(`Failed to remove cached asset: ${url}`, err.message);
+    }
+  }
+
+  /**
+   * Revoke a blob URL returned by getObjectUrl (no-op for other URLs)
+   */
+  releaseObjectUrl(objectUrl) {
+    if (this.objectUrls.has(objectUrl)) {
+      URL.revokeObjectURL(objectUrl);
+      this.objectUrls.delete(objectUrl);
+    }
+  }
+
+  /**
+   * Hex SHA-256 of a buffer; null where SubtleCrypto is unavailable
+   */
+  async digest(buffer) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      return null;
+    }
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+    return Array.from(hash, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  getTotalBytes(index) {
+    return Object.values(index).reduce((sum, entry) => sum + (entry.size || 0), 0);
+  }
+
+  readIndex() {
+    try {
+      return JSON.parse(localStorage.getItem(CacheManager.INDEX_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  writeIndex(index) {
+    try {
+      localStorage.setItem(CacheManager.INDEX_KEY, JSON.stringify(index));
+    } catch (e) {
+      this.error('Failed to write asset cache index', e.message);
+    }
+  }
+
+  removeFromIndex(url) {
+    const index = this.readIndex();
+    delete index[url];
+    this.writeIndex(index);
+  }
+
+  touch(url, now = Date.now()) {
+    const index = this.readIndex();
+    if (index[url]) {
+      index[url].lastUsed = now;
+      this.writeIndex(index);
+    }
+  }
+}
+
+// Make class globally available
+if (typeof window !== 'undefined') {
+  window.CacheManager = CacheManager;
+}
@@ -0,0 +1,206 @@
+/**
+ * Companion Renderer
+ *
+ * Shows VAST CompanionAds in extra container elements next to the main
+ * media (e.g. the side panel of an L-shaped layout):
+ * - config.companionSlots maps companion sizes to container ids
+ *   ({ '300x250': 'adlocaite-companion' })
+ * - Companions are pre-loaded hidden together with the main media
+ * - show() reveals them when the ad starts; the player fires creativeView
+ *
+ * Companions are optional: a companion that fails to load is logged and
+ * left out, it never stops the main ad.
+ */
+
+class CompanionRenderer {
+  constructor(config) {
+    this.config = config;
+    this.slots = [];
+    this.preloaded = [];
+    this.current = [];
+  }
+
+  log(message, data = null) {
+    if (this.config.debugMode) {
+      const timestamp = new Date().toISOString();
+      console.log(`[${timestamp}] [Companion Renderer]`, message, data || '');
+    }
+  }
+
+  error(message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.error(`[${timestamp}] [Companion Renderer Error]`, message, data || '');
+  }
+
+  /**
+   * Resolve the configured companion slots to their container elements
+   */
+  initialize() {
+    this.slots = [];
+
+    Object.entries(this.config.companionSlots || {}).forEach(([size, containerId]) => {
+      const match = /^(\d+)x(\d+)$/.exec(size);
+      const container = document.getElementById(containerId);
+
+      if (!match) {
+        this.error(`Invalid companion slot size: ${size} (expected WIDTHxHEIGHT)`);
+        return;
+      }
+      if (!container) {
+        this.error(`Companion container not found: ${containerId}`);
+        return;
+      }
+
+      this.slots.push({ width: parseInt(match[1]), height: parseInt(match[2]), container });
+    });
+
+    this.log(`Companion slots: ${this.slots.length}`);
+  }
+
+  /**
+   * Pre-load the companions of an ad into their slots (hidden).
+   * Resolves once every companion has loaded or failed; never rejects.
+   *
+   * @param {object} adEntry - Ad entry with `companions` (see VASTParser.parseAdEntry)
+   */
+  async preload(adEntry) {
+    this.releasePreloaded();
+
+    const companions = adEntry.companions || [];
+    if (this.slots.length === 0 || companions.length === 0) {
+      return;
+    }
+
+    const loads = this.slots.map(slot => {
+      const companion = companions.find(c =>
+        c.width === slot.width && c.height === slot.height && this.getResource(c));
+      if (!companion) {
+        return null;
+      }
+
+      const resource = this.getResource(companion);
+      const element = this.createElement(resource);
+      const entry = { slot, companion, resource, element };
+      this.preloaded.push(entry);
+
+      return this.attachAndWait(element, slot.container)
+        .then(() => this.log(`Companion ${slot.width}x${slot.height} pre-loaded`))
+        .catch(err => {
+          this.error(`Companion ${slot.width}x${slot.height} failed to load`, err.message);
+          element.remove();
+          this.preloaded = this.preloaded.filter(e => e !== entry);
+        });
+    });
+
+    await Promise.all(loads);
+  }
+
+  /**
+   * First resource of a companion that can be rendered
+   * (static image, iframe or HTML)
+   */
+  getResource(companion) {
+    return (companion.resources || []).find(resource =>
+      resource.type === 'text/html' || resource.type.startsWith('image/')) || null;
+  }
+
+  /**
+   * Create the hidden element for a resource
+   */
+  createElement(resource) {
+    let element;
+
+    if (resource.type === 'text/html') {
+      element = document.createElement('iframe');
+      element.setAttribute('scrolling', 'no');
+      element.setAttribute('frameborder', '0');
+      if (resource.resourceType === 'html') {
+        element.setAttribute('sandbox', AdlocaitePlayer.HTML_SANDBOX);
+        element.srcdoc = resource.html;
+      } else {
+        element.setAttribute('sandbox', AdlocaitePlayer.IFRAME_SANDBOX);
+        element.src = resource.url;
+      }
+    } else {
+      element = document.createElement('img');
+      element.src = resource.url;
+    }
+
+    element.className = 'adlocaite-companion-media';
+    element.style.visibility = 'hidden';
+    return element;
+  }
+
+  /**
+   * Attach a companion element to its (hidden) slot and wait for its
+   * load event (config.assetTimeout). Iframes only load while attached.
+   */
+  attachAndWait(element, container) {
+    return new Promise((resolve, reject) => {
+      const loadTimeout = setTimeout(() => {
+        cleanup();
+        reject(new Error('Companion pre-load timeout'));
+      }, this.config.assetTimeout || 15000);
+
+      const cleanup = () => {
+        clearTimeout(loadTimeout);
+        element.removeEventListener('load', onLoad);
+        element.removeEventListener('error', onError);
+      };
+
+      const onLoad = () => {
+        cleanup();
+        resolve();
+      };
+
+      const onError = () => {
+        cleanup();
+        reject(new Error('Companion resource failed to load'));
+      };
+
+      element.addEventListener('load', onLoad);
+      element.addEventListener('error', onError);
+
+      container.appendChild(element);
+    });
+  }
+
+  /**
+   * Reveal the pre-loaded companions, replacing those of the previous ad
+   *
+   * @returns {Array<object>} The companions now visible (for creativeView)
+   */
+  show() {
+    this.release();
+
+    this.current = this.preloaded;
+    this.preloaded = [];
+
+    this.current.forEach(({ element }) => {
+      element.style.visibility = '';
+    });
+
+    return this.current.map(entry => ({ ...entry.companion, resource: entry.resource }));
+  }
+
+  /**
+   * Remove the companions of the ad that just played
+   */
+  release() {
+    this.current.forEach(({ element }) => element.remove());
+    this.current = [];
+  }
+
+  /**
+   * Remove companions pre-loaded for an ad that will not play
+   */
+  releasePreloaded() {
+    this.preloaded.forEach(({ element }) => element.remove());
+    this.preloaded = [];
+  }
+}
+
+// Make class globally available
+if (typeof window !== 'undefined') {
+  window.CompanionRenderer = CompanionRenderer;
+}
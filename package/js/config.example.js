@@ -37,6 +37,215 @@ const ADLOCAITE_CONFIG = {
    */
   vastMode: true,
 
+  /**
+   * VAST Wrapper resolution
+   * Maximum number of Wrapper hops (VASTAdTagURI) followed before giving up,
+   * and the total time budget in ms for resolving the whole chain.
+   * Keep the budget well inside Broadsign's PREBUFFER window.
+   */
+  vastWrapperMaxDepth: 5,
+  vastWrapperTimeout: 3000,
+
+  /**
+   * Ad pods
+   * When the VAST contains an ad pod (Ads with a sequence attribute), play
+   * the ads in sequence as long as they fit into the Broadsign slot
+   * (expected_slot_duration_ms). Set to false to only play the first ad.
+   */
+  adPodEnabled: true,
+
+  /**
+   * Media file selection
+   * MediaFiles are ranked by decoder support, aspect ratio and pixel fit
+   * against the Broadsign frame resolution. Files above maxBitrateKbps are
+   * only used when nothing else plays (0 = no ceiling). When a pre-load
+   * fails, up to mediaMaxAttempts files are tried in ranked order.
+   */
+  maxBitrateKbps: 0,
+  mediaMaxAttempts: 3,
+
+  /**
+   * Companion banners
+   * Maps VAST companion sizes (WIDTHxHEIGHT) to container element ids in
+   * index.html. A companion of that exact size is pre-loaded with the main
+   * media and shown while the ad plays. Leave empty to ignore companions.
+   * Example: { '300x250': 'adlocaite-companion' }
+   */
+  companionSlots: {},
+
+  /**
+   * Offer expiry
+   * An offer whose ExpiresAt is less than offerExpiryMarginMs away when
+   * BroadSignPlay() fires is rejected instead of played (it would not be
+   * billed). A new offer is requested if at least
+   * offerRerequestMinRemainingMs of the slot is left, otherwise the slot
+   * is skipped.
+   */
+  offerExpiryMarginMs: 2000,
+  offerRerequestMinRemainingMs: 10000,
+
+  /**
+   * Audience impressions
+   * Each play is worth BroadSignObject.expected_impressions audience
+   * impressions (or impressions_per_hour scaled to the slot length). The
+   * multiplier is sent with the accept call and available to buyers as the
+   * [IMPRESSION_MULTIPLIER] macro. Set a parameter name to also append it
+   * to every impression URL (e.g. 'imp_mult'); empty = off.
+   */
+  impressionMultiplierParam: '',
+
+  /**
+   * Slot fit
+   * Offers whose ad is longer than expected_slot_duration_ms by more than
+   * slotDurationToleranceMs are rejected. Images and HTML creatives are shown
+   * until the slot ends (stretchImagesToSlot); videos shorter than the slot
+   * can be repeated to fill it (loopShortCreatives). The choice is available
+   * to tracking URLs as the [SLOT_FIT] macro ('none', 'stretch', 'loop').
+   */
+  slotDurationToleranceMs: 500,
+  stretchImagesToSlot: true,
+  loopShortCreatives: false,
+
+  /**
+   * Offer lookahead
+   * While an ad plays, the offer for the next slot on this frame is requested
+   * and kept in localStorage (not accepted). The next slot starts its media
+   * download right away and re-validates the offer (ExpiresAt, accept call,
+   * media, slot length), falling back to a fresh request if it cannot be
+   * played. Candidates
+   * older than offerLookaheadMaxAgeMs are discarded.
+   */
+  offerLookaheadEnabled: true,
+  offerLookaheadMaxAgeMs: 300000,
+
+  /**
+   * Asset cache
+   * Videos and images are kept in Cache Storage (keyed by MediaFile URL) so
+   * a repeat creative plays from disk instead of being downloaded again.
+   * The least recently used assets are evicted above assetCacheMaxBytes.
+   * MediaFile hosts must allow CORS for assets to be cached.
+   */
+  assetCacheEnabled: true,
+  assetCacheMaxBytes: 500 * 1024 * 1024,
+
+  /**
+   * Buffer mode
+   * 'stream' starts playback once the video can play (canplay) and keeps
+   * downloading while it plays; 'full' downloads the whole video first (up to
+   * fullBufferMaxBytes, within assetTimeout) so it cannot stall mid-slot.
+   * 'auto' buffers fully when the measured download speed is too low for
+   * the video's bitrate but the whole file still fits the pre-load time.
+   */
+  bufferMode: 'auto',
+  fullBufferMaxBytes: 100 * 1024 * 1024,
+
+  /**
+   * Playback watchdog
+   * A playing video whose currentTime does not advance for stallTimeoutMs,
+   * or that shows a black picture for blackFrameTimeoutMs (0 = off; opt in
+   * only where creatives never fade through black), is recovered by seeking
+   * and then reloading, up to stallRecoveryAttempts times per ad. After that
+   * playback ends and the slot is skipped ('playback stalled').
+   */
+  stallTimeoutMs: 3000,
+  blackFrameTimeoutMs: 0,
+  stallRecoveryAttempts: 2,
+
+  /**
+   * Creative fit
+   * How videos and images are scaled to the frame: 'contain' (fit inside,
+   * bars), 'cover' (fill, crop edges), 'stretch' (fill, distort) or
+   * 'letterbox' (own pixel size, bars). A creative can set its own mode via
+   * the <FitMode> Adlocaite extension. VAST scalable="false" always
+   * letterboxes and maintainAspectRatio="true" is never stretched.
+   * letterboxColor is the background around creatives that do not fill it.
+   */
+  fitMode: 'contain',
+  letterboxColor: '#000',
+
+  /**
+   * Frame orientation
+   * Media files whose orientation cannot fit the Broadsign frame (landscape
+   * on a portrait frame or vice versa) are not played; when no file fits,
+   * the offer is rejected and the slot skipped ('orientation mismatch').
+   * Set rejectOrientationMismatch to false to play them letterboxed instead.
+   * frameRotation turns the page clockwise onto the display: 0, 90, 180,
+   * 270 or 'auto' (90 when the page renders in the other orientation than
+   * frame_resolution, i.e. a portrait frame on a display mounted on its side).
+   */
+  rejectOrientationMismatch: true,
+  frameRotation: 'auto',
+
+  /**
+   * Proof of play
+   * When set, a screenshot of each video or image ad (proofOfPlayWidth px
+   * wide, JPEG) is taken at proofOfPlayAt of its play time (0.5 = midpoint)
+   * and POSTed with deal_id, frame_id and timestamp to this endpoint.
+   * Cross-origin creatives are only captured if their host allows CORS.
+   * Empty = off. The apiKey is only sent to endpoints under apiBaseUrl;
+   * other endpoints get proofOfPlayToken as Bearer token (empty = none).
+   */
+  proofOfPlayEndpoint: '',
+  proofOfPlayToken: '',
+  proofOfPlayAt: 0.5,
+  proofOfPlayWidth: 320,
+
+  /**
+   * Audio
+   * Videos play muted unless audio is enabled. audioScreens turns sound on
+   * or off for single screens, keyed by frame_id or display_unit_id, with
+   * the volume as value (0 = muted), e.g. { '12345': 0.8 }. When the
+   * browser's autoplay policy refuses sound, the video plays muted and the
+   * VAST mute event is fired; audible plays fire unmute.
+   */
+  audioEnabled: false,
+  audioVolume: 1,
+  audioScreens: {},
+
+  /**
+   * House ad fallback
+   * For networks without a Broadsign waterfall: instead of skipping a slot,
+   * play a house creative (the skip reason is still logged; no buyer
+   * tracking is fired). houseAds lists files in package/assets/ or URLs,
+   * as strings or { url, type, duration } objects; slots rotate through it.
+   * Example: ['assets/house-1.mp4', { url: 'assets/house-2.jpg', duration: 10 }]
+   */
+  houseAdFallback: false,
+  houseAds: [],
+
+  /**
+   * Additional frames
+   * Drive further Broadsign frames (zones of a multi-frame layout) from this
+   * package, each with its own offer, player and tracking. Every entry needs
+   * the frame's frameId and its resolution ('WIDTHxHEIGHT'); a container of
+   * that size is created at position ('X,Y' in px from the top left), unless
+   * containerId names an element of index.html. resolution and
+   * slotDurationMs replace the BroadSignObject values, config overrides
+   * settings for that frame.
+   * Example: [{ frameId: '842292832', resolution: '640x1080',
+   *   position: '1280,0', slotDurationMs: 10000 }]
+   */
+  frames: [],
+
+  /**
+   * Video wall sync
+   * Players (or frames) listed in one group play the same creative in sync.
+   * Keyed by group id, each value lists the group's frame_ids; the first one
+   * is the leader, which requests, accepts and tracks the offer, the others
+   * play the leader's creative. Playback starts syncStartDelayMs after
+   * the leader's BroadSignPlay() and videos are kept within syncMaxDriftMs
+   * of each other. Players on one machine sync via BroadcastChannel; across
+   * machines set syncCoordinatorUrl to the coordinator's WebSocket
+   * (see test/sync-coordinator.js). Followers skip the slot if nothing
+   * arrives from the leader within syncTimeoutMs.
+   * Example: { 'lobby-wall': ['842292831', '842292832', '842292833'] }
+   */
+  syncGroups: {},
+  syncCoordinatorUrl: '',
+  syncStartDelayMs: 1000,
+  syncMaxDriftMs: 40,
+  syncTimeoutMs: 10000,
+
   /**
    * Debug mode
    * When enabled, logs detailed information to console and shows debug panel
@@ -0,0 +1,136 @@
+/**
+ * House Ads
+ *
+ * Fallback creatives for networks without a Broadsign waterfall: when a slot
+ * would be skipped, AdlocaiteApp plays a house ad instead (houseAdFallback).
+ * - config.houseAds lists the creatives: files bundled in package/assets/
+ *   ('assets/house-1.mp4') or absolute URLs, either as plain strings or as
+ *   { url, type, duration } objects
+ * - Slots rotate through the list (position kept in localStorage)
+ * - House ad entries have no tracking, so no buyer URL is ever fired
+ */
+
+class HouseAds {
+  static STORAGE_KEY = 'adlocaite.houseAdIndex';
+
+  /**
+   * MIME types by file extension, for entries without a type
+   */
+  static TYPES = {
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml'
+  };
+
+  constructor(config) {
+    this.config = config;
+  }
+
+  log(message, data = null) {
+    if (this.config.debugMode) {
+      const timestamp = new Date().toISOString();
+      console.log(`[${timestamp}] [House Ads]`, message, data || '');
+    }
+  }
+
+  /**
+   * Whether skipped slots fall back to house ads
+   */
+  isEnabled() {
+    return !!this.config.houseAdFallback && this.getCreatives().length > 0;
+  }
+
+  /**
+   * Configured house creatives with a known media type
+   *
+   * @returns {Array<{url: string, type: string, duration: number}>}
+   */
+  getCreatives() {
+    return (this.config.houseAds || [])
+      .map(item => (typeof item === 'string' ? { url: item } : item))
+      .filter(item => item && item.url)
+      .map(item => ({
+        url: item.url,
+        type: item.type || this.getType(item.url),
+        duration: parseFloat(item.duration) || 0
+      }))
+      .filter(item => {
+        if (!item.type) {
+          this.log(`Ignoring house ad of unknown type: ${item.url}`);
+        }
+        return !!item.type;
+      });
+  }
+
+  /**
+   * MIME type from the file extension (null when unknown)
+   */
+  getType(url) {
+    const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url);
+    return match ? HouseAds.TYPES[match[1].toLowerCase()] || null : null;
+  }
+
+  /**
+   * House creatives in play order for this slot: the next one in the
+   * rotation first, the others as fallbacks if it fails to load.
+   * Advances the rotation by one.
+   *
+   * @returns {Array<object>} Ad entries for AdlocaitePlayer (see createAdEntry)
+   */
+  rotation() {
+    const creatives = this.getCreatives();
+    if (creatives.length === 0) {
+      return [];
+    }
+
+    let index = 0;
+    try {
+      index = parseInt(localStorage.getItem(HouseAds.STORAGE_KEY)) || 0;
+      localStorage.setItem(HouseAds.STORAGE_KEY, String((index + 1) % creatives.length));
+    } catch (e) {
+      // Storage unavailable -- always start with the first creative
+    }
+
+    const start = index % creatives.length;
+    return creatives.slice(start).concat(creatives.slice(0, start))
+      .map(creative => this.createAdEntry(creative));
+  }
+
+  /**
+   * Ad entry in the shape of VASTParser's pod entries, without tracking.
+   * Images are shown for `duration` (or stretched to the slot, see
+   * AdlocaitePlayer.planSlotFit); videos play their own length.
+   */
+  createAdEntry(creative) {
+    const mediaFile = {
+      url: creative.url,
+      type: creative.type,
+      delivery: 'progressive',
+      width: null,
+      height: null
+    };
+
+    return {
+      ad: { id: `house:${creative.url}` },
+      creative: { duration: creative.duration },
+      mediaFile,
+      mediaFiles: [mediaFile],
+      mediaCandidates: [mediaFile],
+      trackingEvents: {},
+      clickTracking: { clickThrough: [], clickTracking: [] },
+      companions: [],
+      extensions: {},
+      houseAd: true
+    };
+  }
+}
+
+// Make class globally available
+if (typeof window !== 'undefined') {
+  window.HouseAds = HouseAds;
+}
@@ -37,6 +37,14 @@ class AdlocaiteLogger {
     this._emit('warn', module, message, data);
   }
 
+  /**
+   * Per-slot business event (e.g. impression multiplier for billing).
+   * Always sent to Axiom, console output only in debug mode.
+   */
+  event(module, message, data = null) {
+    this._emit('event', module, message, data);
+  }
+
   error(module, message, data = null) {
     this._emit('error', module, message, data);
 
@@ -62,8 +70,8 @@ class AdlocaiteLogger {
   _emit(level, module, message, data) {
     const timestamp = new Date().toISOString();
 
-    // Console output (info only in debug mode, warn/error always)
-    if (level === 'info' && this.config.debugMode) {
+    // Console output (info/event only in debug mode, warn/error always)
+    if ((level === 'info' || level === 'event') && this.config.debugMode) {
       console.log(`[${timestamp}] [${module}]`, message, data || '');
     } else if (level === 'warn') {
       console.warn(`[${timestamp}] [${module}]`, message, data || '');
@@ -71,7 +79,7 @@ class AdlocaiteLogger {
       console.error(`[${timestamp}] [${module}]`, message, data || '');
     }
 
-    // Buffer for Axiom (only warn + error, or all in debug mode)
+    // Buffer for Axiom (only event, warn + error, or all in debug mode)
     if (this.axiomEnabled && (level !== 'info' || this.config.debugMode)) {
       this.buffer.push({
         _time: timestamp,
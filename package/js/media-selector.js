@@ -0,0 +1,242 @@
+/**
+ * Media Selector
+ *
+ * Ranks the MediaFiles of a creative for the screen they are played on:
+ * - Decoder support (canPlayType / MediaCapabilities for the declared codec)
+ * - Bitrate ceiling (config.maxBitrateKbps)
+ * - Orientation: landscape files on a portrait frame (and vice versa) are
+ *   dropped unless config.rejectOrientationMismatch is false
+ * - Aspect ratio and pixel fit against BroadSignObject.frame_resolution
+ *   (display_unit_resolution, window size as fallbacks)
+ *
+ * The player pre-loads the first candidate and falls back down the
+ * ranked list when a pre-load fails.
+ */
+
+class MediaSelector {
+  /**
+   * Relative aspect ratio difference still treated as a match (5%)
+   */
+  static ASPECT_RATIO_TOLERANCE = 0.05;
+
+  /**
+   * Image types Chromium decodes natively, plus HTML creatives
+   * (rendered in an iframe, no decoder check needed)
+   */
+  static IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+  static HTML_TYPE = 'text/html';
+
+  constructor(config, broadsignAdapter) {
+    this.config = config;
+    this.broadsignAdapter = broadsignAdapter;
+    this.probeVideo = null;
+  }
+
+  log(message, data = null) {
+    if (this.config.debugMode) {
+      const timestamp = new Date().toISOString();
+      console.log(`[${timestamp}] [Media Selector]`, message, data || '');
+    }
+  }
+
+  /**
+   * Rank media files, best first. Files the player cannot decode or whose
+   * orientation cannot fit the frame are dropped; files above the bitrate
+   * ceiling are kept as a last resort.
+   *
+   * @param {Array<object>} mediaFiles - Parsed MediaFiles (see VASTParser.parseMediaFiles)
+   * @returns {Promise<Array<object>>} Playable media files in preference order
+   */
+  async rank(mediaFiles) {
+    if (!mediaFiles || mediaFiles.length === 0) {
+      return [];
+    }
+
+    const frame = this.getFrame();
+    const scored = await Promise.all(mediaFiles.map(mediaFile => this.score(mediaFile, frame)));
+
+    const ranked = scored
+      .filter(candidate => {
+        if (!candidate.supported) {
+          this.log(`Dropping unsupported media file: ${candidate.mediaFile.type} ${candidate.mediaFile.codec || ''}`.trim());
+          return false;
+        }
+        if (this.isDroppedForOrientation(candidate.mediaFile, frame)) {
+          this.log(`Dropping media file with the wrong orientation: ${candidate.mediaFile.width}x${candidate.mediaFile.height}`);
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => this.compare(a, b))
+      .map(candidate => candidate.mediaFile);
+
+    this.log(`Ranked ${ranked.length}/${mediaFiles.length} media files for frame ${frame ? `${frame.width}x${frame.height}` : 'unknown'}`,
+      ranked.map(mediaFile => mediaFile.url));
+    return ranked;
+  }
+
+  /**
+   * Score one media file against the frame
+   */
+  async score(mediaFile, frame) {
+    const decoding = await this.checkDecoderSupport(mediaFile, frame);
+    const maxBitrate = this.config.maxBitrateKbps || 0;
+
+    return {
+      mediaFile,
+      supported: decoding.supported,
+      smooth: decoding.smooth,
+      withinCeiling: !maxBitrate || !mediaFile.bitrate || mediaFile.bitrate <= maxBitrate,
+      orientationMatch: !this.isOrientationMismatch(mediaFile, frame),
+      aspect: this.getAspectScore(mediaFile, frame),
+      ...this.getFit(mediaFile, frame)
+    };
+  }
+
+  /**
+   * Compare two scored candidates; negative when `a` is better.
+   * Criteria in order: orientation, bitrate ceiling, aspect ratio, pixel
+   * fit, smooth decoding, progressive delivery, bitrate.
+   */
+  compare(a, b) {
+    if (a.orientationMatch !== b.orientationMatch) return a.orientationMatch ? -1 : 1;
+    if (a.withinCeiling !== b.withinCeiling) return a.withinCeiling ? -1 : 1;
+    if (a.aspect !== b.aspect) return a.aspect - b.aspect;
+    if (a.fitTier !== b.fitTier) return a.fitTier - b.fitTier;
+    if (a.fitDistance !== b.fitDistance) return a.fitDistance - b.fitDistance;
+    if (a.smooth !== b.smooth) return a.smooth ? -1 : 1;
+
+    const aProgressive = a.mediaFile.delivery !== 'streaming';
+    const bProgressive = b.mediaFile.delivery !== 'streaming';
+    if (aProgressive !== bProgressive) return aProgressive ? -1 : 1;
+
+    // Within the ceiling prefer quality; above it prefer the smallest file
+    const bitrateDiff = (b.mediaFile.bitrate || 0) - (a.mediaFile.bitrate || 0);
+    return a.withinCeiling ? bitrateDiff : -bitrateDiff;
+  }
+
+  /**
+   * Check whether the player can decode a media file.
+   * Videos with a declared codec are checked with MediaCapabilities
+   * (which also reports smooth playback), others with canPlayType.
+   *
+   * @returns {Promise<{supported: boolean, smooth: boolean}>}
+   */
+  async checkDecoderSupport(mediaFile, frame) {
+    const type = (mediaFile.type || '').toLowerCase();
+
+    if (MediaSelector.IMAGE_TYPES.includes(type) || type === MediaSelector.HTML_TYPE) {
+      return { supported: true, smooth: true };
+    }
+    if (!type.startsWith('video/')) {
+      return { supported: false, smooth: false };
+    }
+
+    const contentType = mediaFile.codec ? `${type}; codecs="${mediaFile.codec}"` : type;
+
+    if (mediaFile.codec && typeof navigator !== 'undefined' &&
+        navigator.mediaCapabilities && navigator.mediaCapabilities.decodingInfo) {
+      try {
+        const info = await navigator.mediaCapabilities.decodingInfo({
+          type: 'file',
+          video: {
+            contentType,
+            width: mediaFile.width || (frame ? frame.width : 1920),
+            height: mediaFile.height || (frame ? frame.height : 1080),
+            bitrate: (mediaFile.bitrate || 5000) * 1000,
+            framerate: 30
+          }
+        });
+        return { supported: info.supported, smooth: info.supported && info.smooth };
+      } catch (e) {
+        // Malformed codec string etc. — fall back to canPlayType
+        this.log(`MediaCapabilities check failed for ${contentType}`, e.message);
+      }
+    }
+
+    return { supported: this.canPlayType(contentType) !== '', smooth: true };
+  }
+
+  /**
+   * HTMLMediaElement.canPlayType() on a shared probe element
+   */
+  canPlayType(contentType) {
+    if (!this.probeVideo) {
+      this.probeVideo = document.createElement('video');
+    }
+    return this.probeVideo.canPlayType(contentType);
+  }
+
+  /**
+   * Resolution of the frame the media is shown in (see
+   * BroadsignAdapter.getFrameResolution), null when unknown
+   */
+  getFrame() {
+    return this.broadsignAdapter ? this.broadsignAdapter.getFrameResolution() : null;
+  }
+
+  /**
+   * Whether a media file's orientation cannot fit the frame: landscape on
+   * a portrait frame or the other way round. Near-square files
+   * (ASPECT_RATIO_TOLERANCE) and unknown sizes fit any frame.
+   */
+  isOrientationMismatch(mediaFile, frame = this.getFrame()) {
+    if (!frame || !mediaFile.width || !mediaFile.height) {
+      return false;
+    }
+
+    const orientation = (width, height) => {
+      const ratio = width / height;
+      return Math.abs(ratio - 1) <= MediaSelector.ASPECT_RATIO_TOLERANCE ? 0 : Math.sign(ratio - 1);
+    };
+    const media = orientation(mediaFile.width, mediaFile.height);
+    const target = orientation(frame.width, frame.height);
+    return media !== 0 && target !== 0 && media !== target;
+  }
+
+  /**
+   * Whether rank() drops a media file for its orientation
+   * (config.rejectOrientationMismatch, default on)
+   */
+  isDroppedForOrientation(mediaFile, frame = this.getFrame()) {
+    return this.config.rejectOrientationMismatch !== false && this.isOrientationMismatch(mediaFile, frame);
+  }
+
+  /**
+   * Aspect ratio score: 0 = matches the frame, 1 = unknown, 2 = mismatch
+   */
+  getAspectScore(mediaFile, frame) {
+    if (!frame || !mediaFile.width || !mediaFile.height) {
+      return 1;
+    }
+
+    const ratio = (mediaFile.width / mediaFile.height) / (frame.width / frame.height);
+    return Math.abs(ratio - 1) <= MediaSelector.ASPECT_RATIO_TOLERANCE ? 0 : 2;
+  }
+
+  /**
+   * Pixel fit: files covering the frame come first (smallest overshoot
+   * wins), then files of unknown size, then smaller files (largest wins,
+   * least upscaling)
+   *
+   * @returns {{fitTier: number, fitDistance: number}}
+   */
+  getFit(mediaFile, frame) {
+    if (!frame || !mediaFile.width || !mediaFile.height) {
+      return { fitTier: 1, fitDistance: 0 };
+    }
+
+    const pixels = mediaFile.width * mediaFile.height;
+    const framePixels = frame.width * frame.height;
+
+    if (mediaFile.width >= frame.width && mediaFile.height >= frame.height) {
+      return { fitTier: 0, fitDistance: pixels - framePixels };
+    }
+    return { fitTier: 2, fitDistance: framePixels - pixels };
+  }
+}
+
+// Make class globally available
+if (typeof window !== 'undefined') {
+  window.MediaSelector = MediaSelector;
+}
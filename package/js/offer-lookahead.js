@@ -0,0 +1,141 @@
+/**
+ * Offer Lookahead
+ *
+ * Broadsign tears the page down after every slot, so each slot would start
+ * cold (request → accept → pre-load, all inside PREBUFFER). The lookahead
+ * requests the next candidate offer while the current ad plays and keeps it
+ * in localStorage (one entry per frame):
+ * - Only the raw offer response is stored -- it is not accepted
+ * - take() hands it to the next slot once (it is removed when read)
+ * - Candidates for another frame or older than offerLookaheadMaxAgeMs are
+ *   dropped
+ *
+ * The next slot re-validates the candidate (ExpiresAt, accept call) while its
+ * media downloads, and falls back to a fresh request if it is no longer valid.
+ */
+
+class OfferLookahead {
+  static STORAGE_KEY = 'adlocaite.offerLookahead';
+
+  constructor(config, apiClient) {
+    this.config = config;
+    this.apiClient = apiClient;
+  }
+
+  log(message, data = null) {
+    if (this.config.debugMode) {
+      const timestamp = new Date().toISOString();
+      console.log(`[${timestamp}] [Offer Lookahead]`, message, data || '');
+    }
+  }
+
+  error(message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.error(`[${timestamp}] [Offer Lookahead Error]`, message, data || '');
+  }
+
+  /**
+   * Whether the lookahead is enabled and storage is usable
+   */
+  isEnabled() {
+    if (this.config.offerLookaheadEnabled === false) {
+      return false;
+    }
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (e) {
+      // Storage access denied (e.g. opaque origin)
+      return false;
+    }
+  }
+
+  /**
+   * Request the next candidate offer and store it for the next slot.
+   * Never throws -- a failed prefetch only means the next slot starts cold.
+   *
+   * @param {string} screenId - Broadsign frame_id
+   * @param {object} requestOptions - Options for requestOfferByExternalId
+   */
+  async prefetch(screenId, requestOptions = {}) {
+    if (!this.isEnabled() || !screenId) {
+      return;
+    }
+
+    try {
+      const response = await this.apiClient.requestOfferByExternalId(screenId, requestOptions);
+      if (!response || response.noOffersAvailable || response.error) {
+        this.log('No candidate offer for the next slot');
+        this.clear(screenId);
+        return;
+      }
+
+      localStorage.setItem(this.getStorageKey(screenId), JSON.stringify({
+        screenId,
+        response,
+        storedAt: Date.now()
+      }));
+      this.log(`Candidate offer stored for ${screenId}`);
+    } catch (err) {
+      this.error('Prefetch failed', err.message);
+    }
+  }
+
+  /**
+   * Take the stored candidate offer (single use).
+   *
+   * @param {string} screenId - Broadsign frame_id of this slot
+   * @returns {{response: object|string, storedAt: number}|null} The offer
+   *   response as returned by requestOfferByExternalId, or null
+   */
+  take(screenId) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    let candidate = null;
+    try {
+      candidate = JSON.parse(localStorage.getItem(this.getStorageKey(screenId)));
+    } catch (e) {
+      // Corrupt entry -- ignored and cleared below
+    }
+    this.clear(screenId);
+
+    if (!candidate || !candidate.response) {
+      return null;
+    }
+
+    const ageMs = Date.now() - candidate.storedAt;
+    const maxAgeMs = this.config.offerLookaheadMaxAgeMs ?? 300000;
+    if (candidate.screenId !== screenId || !(ageMs >= 0 && ageMs <= maxAgeMs)) {
+      this.log(`Dropping candidate offer (frame ${candidate.screenId}, ${ageMs}ms old)`);
+      return null;
+    }
+
+    this.log(`Using candidate offer (${ageMs}ms old)`);
+    return { response: candidate.response, storedAt: candidate.storedAt };
+  }
+
+  /**
+   * localStorage key of a frame's candidate (frames of a multi-frame page
+   * prefetch independently)
+   */
+  getStorageKey(screenId) {
+    return `${OfferLookahead.STORAGE_KEY}.${screenId}`;
+  }
+
+  /**
+   * Remove the stored candidate of a frame
+   */
+  clear(screenId) {
+    try {
+      localStorage.removeItem(this.getStorageKey(screenId));
+    } catch (e) {
+      // Storage unavailable -- nothing stored
+    }
+  }
+}
+
+// Make class globally available
+if (typeof window !== 'undefined') {
+  window.OfferLookahead = OfferLookahead;
+}
@@ -1,27 +1,112 @@
 /**
  * Media Player
  *
- * Handles playback of pre-loaded video and image ads:
- * - Pre-loading during PREBUFFER phase (before BroadSignPlay)
+ * Handles playback of pre-loaded video, image and HTML ads:
+ * - Pre-loading during PREBUFFER phase (before BroadSignPlay), from the
+ *   asset cache (CacheManager) when the creative was played before
+ * - Streaming or full buffering of videos (config.bufferMode)
+ * - Stall and black-frame watchdog during video playback
+ * - Fit modes for scaling creatives to the frame (FIT_MODES)
+ * - Rotation of the page for frames mounted on their side
+ * - Proof-of-play screenshots of the rendered creative
+ * - Playback metrics per slot (first frame, frame drops, play time)
+ * - Optional sound for screens with speakers (muted fallback)
  * - Instant playback of pre-loaded content
- * - VAST tracking pixel firing
+ * - VAST tracking pixel firing (with macro substitution)
  */
 
 class AdlocaitePlayer {
-  constructor(config, apiClient, broadsignAdapter, vastParser) {
+  /**
+   * Display time in seconds of images and HTML creatives when the VAST
+   * has no duration (standard slot)
+   */
+  static DEFAULT_DISPLAY_DURATION = 10;
+
+  /**
+   * iframe sandbox for HTML creatives. HTMLResource markup runs in an opaque
+   * origin (scripts only); IFrameResource pages are third-party URLs and
+   * may use their own origin (storage, XHR to their servers).
+   */
+  static HTML_SANDBOX = 'allow-scripts';
+  static IFRAME_SANDBOX = 'allow-scripts allow-same-origin';
+
+  /**
+   * How video and image creatives are scaled to the frame
+   * (CSS classes adlocaite-fit-*):
+   * - contain: fit inside, aspect ratio kept, bars in letterboxColor
+   * - cover: fill the frame, aspect ratio kept, edges cropped
+   * - stretch: fill the frame, aspect ratio ignored
+   * - letterbox: own pixel size (scaled down only if larger than the
+   *   frame), bars in letterboxColor
+   */
+  static FIT_MODES = ['contain', 'cover', 'stretch', 'letterbox'];
+
+  /**
+   * bufferMode 'auto' streams a video only when the measured download speed
+   * exceeds its bitrate by this factor (headroom for throughput dips)
+   */
+  static STREAM_BANDWIDTH_MARGIN = 1.5;
+  static DEFAULT_FULL_BUFFER_MAX_BYTES = 100 * 1024 * 1024;
+
+  /**
+   * Playback watchdog: check interval, and the brightest pixel value
+   * (0-255) of a frame that still counts as black
+   */
+  static WATCHDOG_INTERVAL_MS = 500;
+  static BLACK_FRAME_MAX_LUMA = 16;
+
+  /**
+   * Proof of play: screenshot width in px (height follows the creative's
+   * aspect ratio) and JPEG quality. Small enough for a keepalive request.
+   */
+  static DEFAULT_PROOF_OF_PLAY_WIDTH = 320;
+  static PROOF_OF_PLAY_QUALITY = 0.7;
+
+  /**
+   * Video wall sync (see SyncGroup): drift check interval, drift beyond
+   * which the video seeks instead of adjusting its speed, and the speed
+   * change used to catch up or fall back
+   */
+  static SYNC_INTERVAL_MS = 250;
+  static SYNC_SEEK_THRESHOLD_MS = 500;
+  static SYNC_RATE_ADJUSTMENT = 0.05;
+
+  constructor(config, apiClient, broadsignAdapter, vastParser, vastMacros, mediaSelector,
+              companionRenderer = null, cacheManager = null) {
     this.config = config;
     this.apiClient = apiClient;
     this.broadsignAdapter = broadsignAdapter;
     this.vastParser = vastParser;
+    this.vastMacros = vastMacros;
+    this.mediaSelector = mediaSelector;
+    this.companionRenderer = companionRenderer;
+    this.cacheManager = cacheManager;
 
+    this.currentAd = null;
     this.currentMediaFile = null;
     this.videoElement = null;
     this.imageElement = null;
+    this.htmlElement = null;
     this.containerElement = null;
 
     this.isPlaying = false;
     this.startTime = null;
     this.duration = 0;
+    this.preloadedDuration = 0;
+    this.progressTimers = [];
+    this.watchdog = null;
+    this.watchdogCanvas = null;
+    // Bumped by cleanup(): pre-loads started before are cancelled
+    this.preloadGeneration = 0;
+    // Streamed assets waiting to be cached (deferCacheStore)
+    this.pendingCacheStores = [];
+    // Whether the current ad is audible (null before it starts), see fireAudioEvent
+    this.audioAudible = null;
+    this.sync = null;
+    this.syncTimer = null;
+    this.dealId = null;
+    this.firstFrameAt = null;
+    this.playedAds = [];
 
     this.trackingFired = {
       impression: false,
@@ -29,7 +114,10 @@ class AdlocaitePlayer {
       firstQuartile: false,
       midpoint: false,
       thirdQuartile: false,
-      complete: false
+      complete: false,
+      mute: false,
+      unmute: false,
+      error: false
     };
   }
 
@@ -53,30 +141,310 @@ class AdlocaitePlayer {
 
     this.preloadedVideoElement = null;
     this.preloadedImageElement = null;
+    this.preloadedHtmlElement = null;
     this.preloadedMediaFile = null;
     this.isMediaPreloaded = false;
 
+    // Shows around creatives that do not fill the frame
+    this.containerElement.style.backgroundColor = this.config.letterboxColor || '#000';
+
+    // Lay the page out in the frame's orientation and turn it onto the display
+    const layout = this.broadsignAdapter.getFrameLayout();
+    if (layout.rotation) {
+      document.body.classList.add(`adlocaite-rotate-${layout.rotation}`);
+      this.log(`Frame rotated by ${layout.rotation} degrees (${layout.orientation})`);
+    }
+
     this.log('Player initialized');
   }
 
   // ── Pre-loading (PREBUFFER phase) ─────────────────────────
 
-  async preloadMedia(mediaFile) {
+  /**
+   * @param {object} mediaFile - Media file to pre-load
+   * @param {number} expectedDuration - Ad duration in seconds (0 = unknown),
+   *   used to choose between streaming and full buffering
+   */
+  async preloadMedia(mediaFile, expectedDuration = 0) {
     this.log('Pre-loading media:', mediaFile.url);
+    const generation = this.preloadGeneration;
     this.preloadedMediaFile = mediaFile;
 
-    if (this.vastParser.isVideo(mediaFile)) {
-      await this.preloadVideo(mediaFile);
-    } else if (this.vastParser.isImage(mediaFile)) {
-      await this.preloadImage(mediaFile);
+    if (this.vastParser.isVideo(mediaFile) || this.vastParser.isImage(mediaFile)) {
+      await this.preloadCacheable(mediaFile, expectedDuration, generation);
+    } else if (this.vastParser.isHtml(mediaFile)) {
+      await this.preloadHtml(mediaFile);
     } else {
-      throw new Error(`Unsupported media type: ${mediaFile.type}`);
+      throw VASTParser.createError(
+        `Unsupported media type: ${mediaFile.type}`,
+        VASTParser.ERROR_CODES.NO_SUPPORTED_MEDIA
+      );
     }
 
+    this.assertPreloadCurrent(generation);
     this.isMediaPreloaded = true;
     this.log('Media pre-loaded successfully');
   }
 
+  /**
+   * Pre-load a video or image, from a blob URL when it is in the asset
+   * cache or a video is fully buffered (shouldBufferFully). Otherwise it
+   * streams from the network and is cached for the next slot once the
+   * browser has all of it (deferCacheStore).
+   *
+   * @param {number} generation - preloadGeneration the pre-load started in
+   */
+  async preloadCacheable(mediaFile, expectedDuration, generation = this.preloadGeneration) {
+    const preload = sourceUrl => (this.vastParser.isVideo(mediaFile)
+      ? this.preloadVideo(mediaFile, sourceUrl)
+      : this.preloadImage(mediaFile, sourceUrl));
+
+    let objectUrl = this.cacheManager
+      ? await this.cacheManager.getObjectUrl(mediaFile.url)
+      : null;
+
+    if (!objectUrl && this.vastParser.isVideo(mediaFile) &&
+        this.shouldBufferFully(mediaFile, expectedDuration)) {
+      objectUrl = await this.downloadFully(mediaFile);
+    }
+
+    // No element may be created once cleanup() has run
+    if (generation !== this.preloadGeneration) {
+      if (objectUrl) {
+        this.cacheManager.releaseObjectUrl(objectUrl);
+      }
+      this.assertPreloadCurrent(generation);
+    }
+
+    if (!objectUrl) {
+      await preload(mediaFile.url);
+      if (this.cacheManager) {
+        this.deferCacheStore(mediaFile, this.preloadedVideoElement || this.preloadedImageElement);
+      }
+      return;
+    }
+
+    try {
+      this.log('Pre-loading from blob URL:', mediaFile.url);
+      await preload(objectUrl);
+    } catch (err) {
+      // A cached file the browser cannot play is dropped; the caller falls
+      // back to the next media file
+      this.cacheManager.releaseObjectUrl(objectUrl);
+      this.cacheManager.remove(mediaFile.url);
+      throw err;
+    }
+  }
+
+  /**
+   * Cache a streamed asset without downloading it alongside the stream:
+   * images right away (already loaded), videos once the element has
+   * buffered them completely or, at the latest, when the pod has played
+   * (flushCacheStores). The cache download is then usually answered from
+   * the browser's HTTP cache. Pre-loads that never play are not cached.
+   */
+  deferCacheStore(mediaFile, element) {
+    const store = () => {
+      element.removeEventListener('progress', onProgress);
+      this.pendingCacheStores = this.pendingCacheStores.filter(pending => pending !== store);
+      this.cacheManager.store(mediaFile.url, mediaFile.type);
+    };
+    const onProgress = () => {
+      if (this.isFullyBuffered(element)) {
+        store();
+      }
+    };
+
+    if (element.tagName !== 'VIDEO' || this.isFullyBuffered(element)) {
+      store();
+      return;
+    }
+    this.pendingCacheStores.push(store);
+    element.addEventListener('progress', onProgress);
+  }
+
+  /**
+   * Start the cache downloads still waiting for their video to be buffered
+   */
+  flushCacheStores() {
+    [...this.pendingCacheStores].forEach(store => store());
+  }
+
+  isFullyBuffered(video) {
+    const buffered = video.buffered;
+    return !!buffered && buffered.length > 0 && video.duration > 0 &&
+      buffered.end(buffered.length - 1) >= video.duration - 0.1;
+  }
+
+  /**
+   * Whether to download a video completely before declaring it ready
+   * (config.bufferMode): 'stream', 'full', or 'auto' -- full buffering when
+   * the measured download speed cannot keep up with the bitrate
+   * (STREAM_BANDWIDTH_MARGIN) but the whole file still downloads within the
+   * pre-load budget (assetTimeout). Unknown speed or bitrate streams.
+   *
+   * @param {object} mediaFile - Video media file
+   * @param {number} expectedDuration - Ad duration in seconds (0 = unknown)
+   */
+  shouldBufferFully(mediaFile, expectedDuration) {
+    const mode = this.config.bufferMode || 'auto';
+    if (!this.cacheManager || mode === 'stream') {
+      return false;
+    }
+    if (mode === 'full') {
+      return true;
+    }
+
+    const bandwidthKbps = this.cacheManager.getBandwidthKbps();
+    const bitrateKbps = mediaFile.bitrate;
+    if (!bandwidthKbps || !bitrateKbps || !expectedDuration) {
+      return false;
+    }
+
+    const downloadMs = (bitrateKbps * expectedDuration / bandwidthKbps) * 1000;
+    const fullBuffer = bandwidthKbps < bitrateKbps * AdlocaitePlayer.STREAM_BANDWIDTH_MARGIN &&
+      downloadMs <= (this.config.assetTimeout || 15000);
+
+    this.log(`Buffer mode: ${fullBuffer ? 'full' : 'stream'} ` +
+      `(${bandwidthKbps} kbit/s for ${bitrateKbps} kbit/s x ${expectedDuration}s)`);
+    return fullBuffer;
+  }
+
+  /**
+   * Download a video completely (within fullBufferMaxBytes and assetTimeout)
+   * and return a blob URL for it. Returns null when the file cannot be
+   * downloaded as a whole (too large, no CORS) so it is streamed instead;
+   * a download that runs out of time fails the pre-load (402).
+   */
+  async downloadFully(mediaFile) {
+    let reportedQuarter = 0;
+
+    try {
+      return await this.cacheManager.downloadObjectUrl(mediaFile.url, mediaFile.type, {
+        maxBytes: this.config.fullBufferMaxBytes ?? AdlocaitePlayer.DEFAULT_FULL_BUFFER_MAX_BYTES,
+        timeout: this.config.assetTimeout || 15000,
+        onProgress: (loadedBytes, totalBytes) => {
+          const quarter = totalBytes ? Math.floor((loadedBytes / totalBytes) * 4) : 0;
+          if (quarter > reportedQuarter) {
+            reportedQuarter = quarter;
+            this.log(`Buffering ${quarter * 25}% (${loadedBytes} of ${totalBytes} bytes)`);
+          }
+        }
+      });
+    } catch (err) {
+      if (err.timedOut) {
+        this.error(`Video download timeout: ${mediaFile.url}`);
+        throw VASTParser.createError('Video download timeout', VASTParser.ERROR_CODES.MEDIA_TIMEOUT);
+      }
+      this.log(`Full buffering not possible, streaming instead: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Pre-load the media of an ad entry, falling back down its ranked
+   * media files (see MediaSelector) when a pre-load fails.
+   * At most config.mediaMaxAttempts files are tried so the PREBUFFER
+   * window is not exceeded. The entry's mediaFile is set to the file
+   * that loaded. Companions are pre-loaded alongside (never fatal).
+   *
+   * @param {object} adEntry - Ad entry from buildPod()
+   * @returns {Promise<object>} The pre-loaded media file
+   */
+  async preloadAd(adEntry) {
+    const candidates = (adEntry.mediaCandidates || [adEntry.mediaFile])
+      .slice(0, this.config.mediaMaxAttempts || 3);
+    const companionPreload = this.companionRenderer
+      ? this.companionRenderer.preload(adEntry)
+      : Promise.resolve();
+    const generation = this.preloadGeneration;
+    let lastError = null;
+
+    for (const mediaFile of candidates) {
+      try {
+        this.assertPreloadCurrent(generation);
+        await this.preloadMedia(mediaFile, this.getAdDuration(adEntry));
+        adEntry.mediaFile = mediaFile;
+        this.applyFitMode(adEntry, mediaFile);
+        await companionPreload;
+        return mediaFile;
+      } catch (err) {
+        // Cancelled: cleanup() already released this pre-load, and what is
+        // pre-loaded now belongs to someone else
+        if (err.cancelled) {
+          throw err;
+        }
+        lastError = err;
+        this.releasePreloadedMedia();
+        this.log(`Pre-load failed for ${mediaFile.url}, trying next media file`, err.message);
+      }
+    }
+
+    await companionPreload;
+    if (this.companionRenderer) {
+      this.companionRenderer.releasePreloaded();
+    }
+    // Tells the skip handler whose <Error> URLs to fire
+    lastError.adEntry = adEntry;
+    throw lastError;
+  }
+
+  /**
+   * Throw if cleanup() ran since a pre-load started (generation)
+   */
+  assertPreloadCurrent(generation) {
+    if (generation !== this.preloadGeneration) {
+      const err = new Error('Pre-load cancelled');
+      err.cancelled = true;
+      throw err;
+    }
+  }
+
+  /**
+   * Fit mode of an ad: the creative's own (Adlocaite <FitMode> extension),
+   * else config.fitMode. The VAST attributes of the MediaFile (or
+   * NonLinear) take precedence: scalable="false" is never scaled up
+   * (letterbox), maintainAspectRatio="true" is never stretched.
+   *
+   * @returns {string} One of FIT_MODES
+   */
+  getFitMode(adEntry, mediaFile) {
+    let mode = adEntry.extensions?.fitMode || this.config.fitMode || 'contain';
+    if (!AdlocaitePlayer.FIT_MODES.includes(mode)) {
+      this.error(`Unknown fit mode: ${mode}, using contain`);
+      mode = 'contain';
+    }
+
+    const scalable = mediaFile.scalable ?? adEntry.creative?.scalable ?? null;
+    const maintainAspectRatio = mediaFile.maintainAspectRatio ?? adEntry.creative?.maintainAspectRatio ?? null;
+
+    if (scalable === false) {
+      return 'letterbox';
+    }
+    if (maintainAspectRatio === true && mode === 'stretch') {
+      return 'contain';
+    }
+    return mode;
+  }
+
+  /**
+   * Set the fit mode class on the pre-loaded video or image element.
+   * HTML creatives lay themselves out in the full-frame iframe.
+   */
+  applyFitMode(adEntry, mediaFile) {
+    const element = this.vastParser.isVideo(mediaFile) ? this.preloadedVideoElement
+      : this.vastParser.isImage(mediaFile) ? this.preloadedImageElement
+        : null;
+    if (!element) {
+      return;
+    }
+
+    const mode = this.getFitMode(adEntry, mediaFile);
+    AdlocaitePlayer.FIT_MODES.forEach(m => element.classList.remove(`adlocaite-fit-${m}`));
+    element.classList.add(`adlocaite-fit-${mode}`);
+    this.log(`Fit mode: ${mode}`);
+  }
+
   /**
    * Swap loading spinner with pre-loaded media element.
    * Called during PREBUFFER (off-screen) so the first frame
@@ -84,6 +452,11 @@ class AdlocaitePlayer {
    */
   showPreloadedMedia() {
     if (!this.containerElement) return;
+    if (this.preloadedHtmlElement) {
+      // Already in the container (iframes only load when attached)
+      this.showInContainer(this.preloadedHtmlElement);
+      return;
+    }
     this.containerElement.innerHTML = '';
     if (this.preloadedVideoElement) {
       this.containerElement.appendChild(this.preloadedVideoElement);
@@ -92,132 +465,511 @@ class AdlocaitePlayer {
     }
   }
 
-  async preloadVideo(mediaFile) {
+  /**
+   * Make an element the only visible content of the container.
+   * An element that is already attached is not moved — re-attaching an
+   * iframe would reload the creative.
+   */
+  showInContainer(element) {
+    Array.from(this.containerElement.childNodes).forEach(node => {
+      if (node !== element) {
+        node.remove();
+      }
+    });
+    if (element.parentNode !== this.containerElement) {
+      this.containerElement.appendChild(element);
+    }
+    element.style.visibility = '';
+  }
+
+  /**
+   * @param {object} mediaFile - Media file to pre-load
+   * @param {string} sourceUrl - URL to load it from (a blob URL when cached)
+   */
+  async preloadVideo(mediaFile, sourceUrl = mediaFile.url) {
     this.log('Pre-loading video:', mediaFile.url);
 
     return new Promise((resolve, reject) => {
-      this.preloadedVideoElement = document.createElement('video');
-      this.preloadedVideoElement.id = 'adlocaite-video';
-      this.preloadedVideoElement.preload = 'auto';
-      this.preloadedVideoElement.muted = true;
-      this.preloadedVideoElement.playsInline = true;
-      this.preloadedVideoElement.autoplay = false;
-
-      if (mediaFile.width && mediaFile.height) {
-        this.preloadedVideoElement.width = mediaFile.width;
-        this.preloadedVideoElement.height = mediaFile.height;
-      }
+      // Local ref — cleanup() may reset this.preloadedVideoElement while loading
+      const video = document.createElement('video');
+      video.className = 'adlocaite-video';
+      video.preload = 'auto';
+      // Always pre-loaded muted; sound is turned on when playback starts
+      // (startVideo)
+      video.muted = true;
+      video.playsInline = true;
+      video.autoplay = false;
+      this.preloadedVideoElement = video;
 
       const loadTimeout = setTimeout(() => {
         cleanup();
         this.error('Video pre-load timeout');
-        reject(new Error('Video pre-load timeout'));
+        reject(VASTParser.createError('Video pre-load timeout', VASTParser.ERROR_CODES.MEDIA_TIMEOUT));
       }, this.config.assetTimeout || 15000);
 
       const cleanup = () => {
         clearTimeout(loadTimeout);
-        this.preloadedVideoElement.removeEventListener('canplay', onCanPlay);
-        this.preloadedVideoElement.removeEventListener('error', onError);
+        video.removeEventListener('canplay', onCanPlay);
+        video.removeEventListener('error', onError);
       };
 
       const onCanPlay = () => {
         cleanup();
-        this.duration = this.preloadedVideoElement.duration;
-        this.log(`Video pre-loaded. Duration: ${this.duration}s, ready to play (streaming)`);
+        // Not this.duration: an ad pod pre-loads the next ad while the current one plays
+        this.preloadedDuration = video.duration;
+        this.log(`Video pre-loaded. Duration: ${video.duration}s, ready to play (streaming)`);
         resolve();
       };
 
       const onError = () => {
+        if (this.retryWithoutCors(video, mediaFile, sourceUrl)) {
+          return;
+        }
         cleanup();
-        const videoError = this.preloadedVideoElement.error;
+        const videoError = video.error;
         this.error(`Video pre-load error: ${mediaFile.url}`, {
           code: videoError?.code, message: videoError?.message
         });
-        reject(new Error(`Video pre-load error: ${videoError?.message || 'unknown'}`));
+        reject(VASTParser.createError(
+          `Video pre-load error: ${videoError?.message || 'unknown'}`,
+          this.getMediaErrorCode(videoError)
+        ));
       };
 
-      this.preloadedVideoElement.addEventListener('canplay', onCanPlay);
-      this.preloadedVideoElement.addEventListener('error', onError);
+      video.addEventListener('canplay', onCanPlay);
+      video.addEventListener('error', onError);
 
-      this.preloadedVideoElement.src = mediaFile.url;
-      this.preloadedVideoElement.load();
+      this.requestCors(video, sourceUrl);
+      video.src = sourceUrl;
+      video.load();
     });
   }
 
-  async preloadImage(mediaFile) {
+  /**
+   * @param {object} mediaFile - Media file to pre-load
+   * @param {string} sourceUrl - URL to load it from (a blob URL when cached)
+   */
+  async preloadImage(mediaFile, sourceUrl = mediaFile.url) {
     this.log('Pre-loading image:', mediaFile.url);
 
     return new Promise((resolve, reject) => {
-      this.preloadedImageElement = document.createElement('img');
-      this.preloadedImageElement.id = 'adlocaite-image';
-
-      if (mediaFile.width && mediaFile.height) {
-        this.preloadedImageElement.width = mediaFile.width;
-        this.preloadedImageElement.height = mediaFile.height;
-      }
+      const image = document.createElement('img');
+      image.className = 'adlocaite-image';
+      this.preloadedImageElement = image;
 
       const loadTimeout = setTimeout(() => {
         cleanup();
         this.error('Image pre-load timeout');
-        reject(new Error('Image pre-load timeout'));
+        reject(VASTParser.createError('Image pre-load timeout', VASTParser.ERROR_CODES.MEDIA_TIMEOUT));
       }, this.config.assetTimeout || 15000);
 
       const cleanup = () => {
         clearTimeout(loadTimeout);
-        this.preloadedImageElement.removeEventListener('load', onLoad);
-        this.preloadedImageElement.removeEventListener('error', onError);
+        image.removeEventListener('load', onLoad);
+        image.removeEventListener('error', onError);
       };
 
       const onLoad = () => {
         cleanup();
+        this.preloadedDuration = 0;
         this.log('Image pre-loaded successfully');
         resolve();
       };
 
       const onError = () => {
+        if (this.retryWithoutCors(image, mediaFile, sourceUrl)) {
+          return;
+        }
         cleanup();
         this.error(`Image pre-load error: ${mediaFile.url}`);
-        reject(new Error(`Image pre-load error: ${mediaFile.url}`));
+        reject(VASTParser.createError(
+          `Image pre-load error: ${mediaFile.url}`,
+          VASTParser.ERROR_CODES.FILE_NOT_FOUND
+        ));
+      };
+
+      image.addEventListener('load', onLoad);
+      image.addEventListener('error', onError);
+
+      this.requestCors(image, sourceUrl);
+      image.src = sourceUrl;
+    });
+  }
+
+  /**
+   * Proof of play draws the media onto a canvas, which stays readable for
+   * a cross-origin file only when it was loaded with CORS: with
+   * proofOfPlayEndpoint set, request it as crossOrigin="anonymous"
+   * (before src is set). Blob URLs of cached assets and local files (house
+   * ads) are same-origin.
+   */
+  requestCors(element, sourceUrl) {
+    if (!this.config.proofOfPlayEndpoint || sourceUrl.startsWith('blob:')) {
+      return;
+    }
+    try {
+      if (new URL(sourceUrl, location.href).origin !== location.origin) {
+        element.crossOrigin = 'anonymous';
+      }
+    } catch (e) {
+      // Not a valid URL -- the load fails anyway
+    }
+  }
+
+  /**
+   * A host without CORS headers fails a crossOrigin load: load the file
+   * once more without it, so the ad still plays (without proof of play).
+   *
+   * @returns {boolean} true when the element is loading again
+   */
+  retryWithoutCors(element, mediaFile, sourceUrl) {
+    if (!element.crossOrigin) {
+      return false;
+    }
+
+    this.error(`Loading ${mediaFile.url} with CORS failed - retrying without, no proof of play for it`);
+    element.removeAttribute('crossorigin');
+    element.src = sourceUrl;
+    if (element.tagName === 'VIDEO') {
+      element.load();
+    }
+    return true;
+  }
+
+  /**
+   * Pre-load an HTML creative (HTMLResource, IFrameResource) into a
+   * sandboxed iframe. Unlike video/img, an iframe only loads while it is
+   * attached, so it is added hidden to the container; its load event
+   * signals the creative is ready.
+   */
+  async preloadHtml(mediaFile) {
+    this.log('Pre-loading HTML creative:', mediaFile.url || `${mediaFile.resourceType} resource`);
+
+    return new Promise((resolve, reject) => {
+      const iframe = document.createElement('iframe');
+      iframe.className = 'adlocaite-html';
+      iframe.setAttribute('scrolling', 'no');
+      iframe.setAttribute('frameborder', '0');
+      iframe.style.visibility = 'hidden';
+      this.preloadedHtmlElement = iframe;
+
+      const loadTimeout = setTimeout(() => {
+        cleanup();
+        this.error('HTML creative pre-load timeout');
+        reject(VASTParser.createError(
+          'HTML creative pre-load timeout',
+          mediaFile.resourceType
+            ? VASTParser.ERROR_CODES.NONLINEAR_RESOURCE_TIMEOUT
+            : VASTParser.ERROR_CODES.MEDIA_TIMEOUT
+        ));
+      }, this.config.assetTimeout || 15000);
+
+      const cleanup = () => {
+        clearTimeout(loadTimeout);
+        iframe.removeEventListener('load', onLoad);
       };
 
-      this.preloadedImageElement.addEventListener('load', onLoad);
-      this.preloadedImageElement.addEventListener('error', onError);
+      const onLoad = () => {
+        cleanup();
+        this.preloadedDuration = 0;
+        this.log('HTML creative pre-loaded successfully');
+        resolve();
+      };
+
+      iframe.addEventListener('load', onLoad);
+
+      if (mediaFile.resourceType === 'html') {
+        iframe.setAttribute('sandbox', AdlocaitePlayer.HTML_SANDBOX);
+        iframe.srcdoc = mediaFile.html;
+      } else {
+        iframe.setAttribute('sandbox', AdlocaitePlayer.IFRAME_SANDBOX);
+        iframe.src = mediaFile.url;
+      }
+
+      this.containerElement.appendChild(iframe);
+    });
+  }
+
+  // ── Ad pods ───────────────────────────────────────────────
+
+  /**
+   * Select the ads to play in this slot.
+   * Takes the VAST ad pod in sequence order (or the single ad) and keeps
+   * ads as long as they fit into expected_slot_duration_ms. The first ad
+   * is always kept. Ads without a playable media file are dropped.
+   *
+   * @param {number} slotDurationMs - Slot time the pod may use (defaults to
+   *   expected_slot_duration_ms, 0 = unknown)
+   * @returns {Promise<Array<object>>} Ad entries (see VASTParser.parseAds) with
+   *   the ranked mediaCandidates and the selected (best) mediaFile
+   */
+  async buildPod(slotDurationMs = this.broadsignAdapter.getExpectedSlotDurationMs()) {
+    const entries = this.config.adPodEnabled === false
+      ? this.vastParser.getPod().slice(0, 1)
+      : this.vastParser.getPod();
+
+    const pod = [];
+    let podDurationMs = 0;
+
+    for (const entry of entries) {
+      const mediaCandidates = await this.mediaSelector.rank(entry.mediaFiles);
+      if (mediaCandidates.length === 0) {
+        this.log(`Pod: no playable media file for ad ${entry.ad.id}, dropping it`);
+        continue;
+      }
+
+      const adEntry = { ...entry, mediaCandidates, mediaFile: mediaCandidates[0] };
+      const durationMs = this.getAdDuration(adEntry) * 1000;
+
+      if (pod.length > 0 && slotDurationMs && podDurationMs + durationMs > slotDurationMs) {
+        this.log(`Pod: ad ${entry.ad.id} does not fit into the ${slotDurationMs}ms slot, stopping pod here`);
+        break;
+      }
+
+      pod.push(adEntry);
+      podDurationMs += durationMs;
+    }
+
+    this.log(`Pod built: ${pod.length} ad(s), ${podDurationMs}ms`);
+    return pod;
+  }
+
+  /**
+   * Drop the pod ads that could not finish inside the slot, now that the
+   * first ad's real length is known (pre-loaded): a video longer than its
+   * VAST duration leaves less room for the ads after it. The first ad is
+   * always kept (the offer is rejected if it alone does not fit).
+   *
+   * @param {Array<object>} pod - Ad entries from buildPod(), first one pre-loaded
+   * @param {number} slotMs - Slot time the pod may use (0 = unknown)
+   * @returns {Array<object>} The ads playPod() will start
+   */
+  fitPodToSlot(pod, slotMs) {
+    if (!slotMs) {
+      return pod;
+    }
+
+    const toleranceMs = this.config.slotDurationToleranceMs ?? 500;
+    const firstMs = Math.max(
+      this.getAdDuration(pod[0]) * 1000,
+      isFinite(this.preloadedDuration) ? this.preloadedDuration * 1000 : 0
+    );
+    let usedMs = firstMs;
+    let count = 1;
+
+    while (count < pod.length) {
+      const durationMs = this.getAdDuration(pod[count]) * 1000;
+      if (usedMs + durationMs > slotMs + toleranceMs) {
+        this.log(`Pod: ad ${pod[count].ad.id} would overrun the ${slotMs}ms slot, dropping ${pod.length - count} ad(s)`);
+        break;
+      }
+      usedMs += durationMs;
+      count++;
+    }
 
-      this.preloadedImageElement.src = mediaFile.url;
+    return pod.slice(0, count);
+  }
+
+  /**
+   * Decide how the pod fills the Broadsign slot. Sets on every entry:
+   * - slotFit: 'none', 'stretch' (image/HTML shown until slot end) or
+   *   'loop' (short video repeated, config.loopShortCreatives)
+   * - playDuration: planned play time in seconds
+   * - loops: number of plays (1 unless looped)
+   * Only the last ad fills the slot; earlier ads play their own duration.
+   *
+   * @param {Array<object>} pod - Ad entries from buildPod()
+   * @param {number} slotMs - Slot time the pod may use (0 = unknown)
+   */
+  planSlotFit(pod, slotMs) {
+    let usedMs = 0;
+
+    pod.forEach((adEntry, i) => {
+      const durationMs = this.getAdDuration(adEntry) * 1000;
+      const remainingMs = slotMs - usedMs;
+
+      adEntry.slotFit = 'none';
+      adEntry.loops = 1;
+      adEntry.playDuration = durationMs / 1000;
+
+      if (slotMs && i === pod.length - 1 && durationMs > 0 && remainingMs > durationMs) {
+        if (this.isTimedMedia(adEntry.mediaFile) && this.config.stretchImagesToSlot !== false) {
+          adEntry.slotFit = 'stretch';
+          adEntry.playDuration = remainingMs / 1000;
+        } else if (this.vastParser.isVideo(adEntry.mediaFile) && this.config.loopShortCreatives) {
+          const loops = Math.floor(remainingMs / durationMs);
+          if (loops > 1) {
+            adEntry.slotFit = 'loop';
+            adEntry.loops = loops;
+            adEntry.playDuration = (loops * durationMs) / 1000;
+          }
+        }
+      }
+
+      usedMs += adEntry.playDuration * 1000;
     });
+
+    this.log('Slot fit: ' + pod.map(e => `${e.ad.id}=${e.slotFit}/${e.playDuration}s`).join(', '));
+  }
+
+  /**
+   * Play an ad pod in sequence.
+   * The first ad must already be pre-loaded (preloadAd). Ad N+1 is
+   * pre-loaded while ad N plays. The pod stops cleanly before an ad that
+   * would overrun the Broadsign slot or failed to pre-load.
+   *
+   * @param {Array<object>} pod - Ad entries from buildPod()
+   * @param {object} options
+   * @param {string} options.dealId - Deal of the accepted offer (proof of play;
+   *   null sends none, e.g. on a sync group follower)
+   * @param {number} options.startAt - Video wall sync: group clock time the
+   *   pod started at; each ad is kept on startAt + the planned play time of
+   *   the ads before it
+   * @param {Function} options.clock - Video wall sync: current group clock time
+   * @param {number} options.slotMs - Slot time the pod may use (defaults to
+   *   expected_slot_duration_ms, less when the offer was re-requested)
+   */
+  async playPod(pod, {
+    dealId = null, startAt = null, clock = null,
+    slotMs: slotDurationMs = this.broadsignAdapter.getExpectedSlotDurationMs()
+  } = {}) {
+    this.dealId = dealId;
+    this.sync = startAt && clock ? { clock, adStartAt: startAt } : null;
+    this.firstFrameAt = null;
+    this.playedAds = [];
+    const toleranceMs = this.config.slotDurationToleranceMs ?? 500;
+    const podStartTime = Date.now();
+    let nextPreload = null;
+
+    for (let i = 0; i < pod.length; i++) {
+      const adEntry = pod[i];
+
+      if (i > 0) {
+        const remainingMs = slotDurationMs + toleranceMs - (Date.now() - podStartTime);
+        if (slotDurationMs && this.getAdDuration(adEntry) * 1000 > remainingMs) {
+          this.log(`Pod stopped before ad ${i + 1}/${pod.length}: ${remainingMs}ms left in slot`);
+          break;
+        }
+
+        try {
+          await nextPreload;
+        } catch (err) {
+          this.error(`Pod ad ${i + 1}/${pod.length} failed to pre-load, stopping pod`, err.message);
+          this.fireErrorEvent(err.vastErrorCode, adEntry);
+          break;
+        }
+
+        // Swap in the same task as the next play() so no empty frame shows
+        this.releaseCurrentMedia();
+      }
+
+      this.log(`Playing pod ad ${i + 1}/${pod.length}`);
+      if (this.sync && i > 0) {
+        const previous = pod[i - 1];
+        this.sync.adStartAt += (previous.playDuration || this.getAdDuration(previous)) * 1000;
+      }
+      const playback = this.playPreloaded(adEntry);
+
+      const next = pod[i + 1];
+      if (next) {
+        nextPreload = this.preloadAd(next);
+        // Rejection is handled when the next ad is due
+        nextPreload.catch(() => {});
+      }
+
+      try {
+        await playback;
+      } catch (err) {
+        // Stops the next ad's pre-load too (cleanup cancels it)
+        err.adEntry = err.adEntry || adEntry;
+        this.sync = null;
+        this.cleanup();
+        throw err;
+      }
+    }
+
+    this.sync = null;
+    this.flushCacheStores();
+    this.cleanup();
+  }
+
+  /**
+   * Expected play time of an ad in seconds.
+   * VAST duration; images and HTML creatives without one are shown for
+   * DEFAULT_DISPLAY_DURATION.
+   */
+  getAdDuration(adEntry) {
+    const duration = adEntry.creative?.duration || 0;
+    if (!duration && this.isTimedMedia(adEntry.mediaFile)) {
+      return AdlocaitePlayer.DEFAULT_DISPLAY_DURATION;
+    }
+    return duration;
   }
 
   // ── Playback (BroadSignPlay phase) ────────────────────────
 
-  async playPreloaded(vastData) {
+  /**
+   * Play the pre-loaded media of one ad
+   *
+   * @param {object} adEntry - Ad entry (or top-level VAST data) whose
+   *   tracking events are fired for this playback
+   */
+  async playPreloaded(adEntry) {
     this.log('Playing pre-loaded media');
 
     if (!this.isMediaPreloaded || !this.preloadedMediaFile) {
       throw new Error('No pre-loaded media available');
     }
 
+    this.currentAd = adEntry;
     this.currentMediaFile = this.preloadedMediaFile;
-    this.duration = vastData.creative?.duration || this.duration || 0;
+    // A stretched image/HTML creative is shown (and its quartiles timed)
+    // over the whole planned duration; a looped video keeps its own
+    // duration for quartiles (see planSlotFit)
+    this.duration = (adEntry.slotFit === 'stretch' && adEntry.playDuration)
+      || adEntry.creative?.duration || this.preloadedDuration || 0;
+
+    // Hand the pre-loaded elements over to playback (synchronously, before
+    // the first await) so the next pod ad can be pre-loaded right away
+    this.videoElement = this.preloadedVideoElement;
+    this.imageElement = this.preloadedImageElement;
+    this.htmlElement = this.preloadedHtmlElement;
+    this.preloadedVideoElement = null;
+    this.preloadedImageElement = null;
+    this.preloadedHtmlElement = null;
+    this.preloadedMediaFile = null;
+    this.isMediaPreloaded = false;
+    const companions = this.companionRenderer ? this.companionRenderer.show() : [];
 
     await this.fireTrackingEvent('impression');
+    this.fireCompanionViews(companions);
+    this.scheduleProofOfPlay();
 
-    if (this.vastParser.isVideo(this.preloadedMediaFile)) {
+    if (this.vastParser.isVideo(this.currentMediaFile)) {
       await this.playPreloadedVideo();
-    } else if (this.vastParser.isImage(this.preloadedMediaFile)) {
+    } else if (this.vastParser.isImage(this.currentMediaFile)) {
       await this.playPreloadedImage();
+    } else if (this.vastParser.isHtml(this.currentMediaFile)) {
+      await this.playPreloadedHtml();
     }
   }
 
+  /**
+   * Images and HTML creatives have no playback clock; they are shown
+   * for a fixed time with simulated quartiles
+   */
+  isTimedMedia(mediaFile) {
+    return this.vastParser.isImage(mediaFile) || this.vastParser.isHtml(mediaFile);
+  }
+
   async playPreloadedVideo() {
     this.log('Starting pre-loaded video playback');
 
-    if (!this.preloadedVideoElement) {
+    if (!this.videoElement) {
       throw new Error('No pre-loaded video element');
     }
 
     return new Promise((resolve, reject) => {
-      this.videoElement = this.preloadedVideoElement;
-
       // Only manipulate DOM if video isn't already in the container
       // (showPreloadedMedia() may have placed it during PREBUFFER)
       if (this.videoElement.parentNode !== this.containerElement) {
@@ -228,19 +980,58 @@ class AdlocaitePlayer {
       this.videoElement.addEventListener('play', () => {
         this.isPlaying = true;
         this.startTime = Date.now();
-        this.broadsignAdapter.startPlayback();
+        if (!this.broadsignAdapter.isPlaybackActive()) {
+          this.broadsignAdapter.startPlayback();
+        }
         this.fireTrackingEvent('start');
         this.log('Video playback started (instant)');
+
+        this.startWatchdog(this.videoElement, reason => {
+          this.error(`Video ${reason} - giving up`);
+          this.cleanup();
+          const err = VASTParser.createError(`Video ${reason}`, VASTParser.ERROR_CODES.MEDIA_DISPLAY_ERROR);
+          err.skipReason = 'playback stalled';
+          reject(err);
+        });
+        if (this.sync) {
+          this.startDriftCorrection(this.videoElement);
+        }
       }, { once: true });
 
+      // First frame on screen: requestVideoFrameCallback where supported,
+      // `playing` otherwise
+      const video = this.videoElement;
+      if (typeof video.requestVideoFrameCallback === 'function') {
+        video.requestVideoFrameCallback(() => this.markFirstFrame());
+      } else {
+        video.addEventListener('playing', () => this.markFirstFrame(), { once: true });
+      }
+
       this.videoElement.addEventListener('timeupdate', () => {
         this.handleVideoProgress();
       });
 
+      if (this.currentAd?.slotFit === 'loop') {
+        // `ended` never fires on a looping video -- stop after the planned loops
+        this.videoElement.loop = true;
+        const loopMs = this.currentAd.playDuration * 1000;
+        this.videoElement.addEventListener('play', () => {
+          // `complete` just before the end, like timed media (simulateProgress)
+          this.progressTimers.push(setTimeout(() => {
+            this.fireTrackingEvent('complete');
+          }, loopMs * 0.95));
+          this.progressTimers.push(setTimeout(async () => {
+            this.log(`Looped video finished (${this.currentAd.loops} plays)`);
+            await this.fireTrackingEvent('complete');
+            resolve();
+          }, loopMs));
+        }, { once: true });
+      }
+
       this.videoElement.addEventListener('ended', async () => {
+        this.stopWatchdog();
         this.log('Video playback ended');
         await this.fireTrackingEvent('complete');
-        this.cleanup();
         resolve();
       }, { once: true });
 
@@ -251,53 +1042,475 @@ class AdlocaitePlayer {
           code: videoError?.code, message: videoError?.message
         });
         this.cleanup();
-        reject(new Error(`Video playback error: ${videoError?.message || 'unknown'}`));
+        reject(VASTParser.createError(
+          `Video playback error: ${videoError?.message || 'unknown'}`,
+          VASTParser.ERROR_CODES.MEDIA_DISPLAY_ERROR
+        ));
       }, { once: true });
 
-      this.videoElement.play().catch(err => {
+      this.startVideo(this.videoElement).catch(err => {
         this.error('Failed to start video playback:', err);
+        err.vastErrorCode = VASTParser.ERROR_CODES.MEDIA_DISPLAY_ERROR;
         reject(err);
       });
     });
   }
 
+  /**
+   * Start a video, with sound when audio is on for this screen
+   * (getAudioVolume). When the autoplay policy refuses unmuted playback it
+   * starts muted instead. `unmute` is fired when the ad is audible, `mute`
+   * when sound was wanted but blocked or the video is muted later.
+   *
+   * @param {HTMLVideoElement} video
+   */
+  async startVideo(video) {
+    const volume = this.getAudioVolume();
+
+    if (volume > 0) {
+      video.volume = volume;
+      video.muted = false;
+      try {
+        await video.play();
+        this.fireAudioEvent(true);
+        this.trackAudio(video);
+        return;
+      } catch (err) {
+        if (err.name !== 'NotAllowedError') {
+          throw err;
+        }
+        this.log('Unmuted autoplay refused - playing muted');
+        video.muted = true;
+        this.fireAudioEvent(false);
+      }
+    }
+
+    await video.play();
+    // Muted as configured: no event, but a later unmute is a transition
+    if (this.audioAudible === null) {
+      this.audioAudible = false;
+    }
+    this.trackAudio(video);
+  }
+
+  /**
+   * Fire `mute`/`unmute` when the video's audio changes during playback
+   */
+  trackAudio(video) {
+    video.addEventListener('volumechange', () => {
+      this.fireAudioEvent(!video.muted && video.volume > 0);
+    });
+  }
+
+  /**
+   * Fire `mute` or `unmute` for a change of the current ad's audio. Unlike
+   * the other events these fire on every transition; only a repeat of the
+   * current state (e.g. a volume change while audible) is ignored.
+   *
+   * @param {boolean} audible
+   */
+  fireAudioEvent(audible) {
+    if (this.audioAudible === audible) {
+      return;
+    }
+    this.audioAudible = audible;
+    this.fireTrackingEvent(audible ? 'unmute' : 'mute', { repeatable: true });
+  }
+
+  /**
+   * Playback volume (0-1) for this screen; 0 plays muted.
+   * config.audioScreens (keyed by frame_id or display_unit_id) overrides
+   * audioEnabled/audioVolume for single screens.
+   */
+  getAudioVolume() {
+    const screens = this.config.audioScreens || {};
+    const screenIds = [
+      this.broadsignAdapter.getBroadSignProperty('frame_id'),
+      this.broadsignAdapter.getBroadSignProperty('display_unit_id')
+    ];
+    const screenId = screenIds.find(id => id !== null && screens[id] !== undefined);
+
+    let volume = 0;
+    if (screenId !== undefined) {
+      volume = Number(screens[screenId]);
+    } else if (this.config.audioEnabled) {
+      volume = Number(this.config.audioVolume ?? 1);
+    }
+
+    return isNaN(volume) ? 0 : Math.min(Math.max(volume, 0), 1);
+  }
+
+  /**
+   * Watch a playing video for freezes:
+   * - stall: currentTime does not advance for config.stallTimeoutMs
+   *   (`waiting`/`stalled` events are only logged -- the buffer often
+   *   recovers by itself)
+   * - black frame: the picture stays black for config.blackFrameTimeoutMs
+   *   (opt-in, 0 = off; not possible for cross-origin videos without CORS)
+   * The player never pauses a watched video (cleanup() stops the watchdog
+   * first), so a pause counts as a stall; an ended video is not checked.
+   * A freeze is recovered by nudging the playhead, then by reloading at the
+   * same position (config.stallRecoveryAttempts per ad in total). A
+   * recovery whose play() is refused counts as failed and moves on to the
+   * next step. When all attempts fail, onFailure(reason) is called.
+   *
+   * @param {HTMLVideoElement} video - The playing video
+   * @param {Function} onFailure - Called once with a description of the freeze
+   */
+  startWatchdog(video, onFailure) {
+    this.stopWatchdog();
+
+    const stallTimeoutMs = this.config.stallTimeoutMs ?? 3000;
+    const blackFrameTimeoutMs = this.config.blackFrameTimeoutMs ?? 0;
+    const maxAttempts = this.config.stallRecoveryAttempts ?? 2;
+
+    let lastTime = video.currentTime;
+    let lastProgressAt = Date.now();
+    let blackSince = null;
+    let attempts = 0;
+
+    const onBufferEvent = event => this.log(`Video ${event.type} at ${video.currentTime}s`);
+    video.addEventListener('waiting', onBufferEvent);
+    video.addEventListener('stalled', onBufferEvent);
+
+    const recover = reason => {
+      if (this.watchdog !== watchdog) {
+        return;
+      }
+      if (attempts >= maxAttempts) {
+        this.stopWatchdog();
+        onFailure(reason);
+        return;
+      }
+
+      attempts++;
+      const attempt = attempts;
+      const position = video.currentTime;
+      this.error(`Video ${reason} - recovery attempt ${attempts}/${maxAttempts}`);
+
+      if (attempts === 1) {
+        // Skip past the frozen frame
+        video.currentTime = position + 0.1;
+      } else {
+        video.load();
+        video.currentTime = position;
+      }
+      video.play().catch(err => {
+        // Superseded by a later attempt (load() aborts a pending play())
+        if (attempt !== attempts) {
+          return;
+        }
+        this.error(`Recovery attempt ${attempt} failed: play() refused (${err.message})`);
+        recover(`not resuming after recovery (${err.name})`);
+      });
+
+      lastProgressAt = Date.now();
+      blackSince = null;
+    };
+
+    const check = () => {
+      const now = Date.now();
+      if (video.ended) {
+        lastProgressAt = now;
+        blackSince = null;
+        return;
+      }
+
+      if (!video.paused && video.currentTime !== lastTime) {
+        lastTime = video.currentTime;
+        lastProgressAt = now;
+      } else if (now - lastProgressAt >= stallTimeoutMs) {
+        recover(video.paused ? `paused at ${video.currentTime}s` : `stalled at ${lastTime}s`);
+        return;
+      }
+
+      if (blackFrameTimeoutMs && this.isBlackFrame(video)) {
+        blackSince = blackSince || now;
+        if (now - blackSince >= blackFrameTimeoutMs) {
+          recover('showing a black frame');
+        }
+      } else {
+        blackSince = null;
+      }
+    };
+
+    const watchdog = {
+      interval: setInterval(check, AdlocaitePlayer.WATCHDOG_INTERVAL_MS),
+      release: () => {
+        video.removeEventListener('waiting', onBufferEvent);
+        video.removeEventListener('stalled', onBufferEvent);
+      }
+    };
+    this.watchdog = watchdog;
+  }
+
+  stopWatchdog() {
+    if (this.watchdog) {
+      clearInterval(this.watchdog.interval);
+      this.watchdog.release();
+      this.watchdog = null;
+    }
+  }
+
+  /**
+   * Keep a video on the sync group's timeline: small drift is evened out
+   * by playing slightly faster or slower, drift beyond
+   * SYNC_SEEK_THRESHOLD_MS (e.g. a player that started late) by seeking.
+   * Within config.syncMaxDriftMs the video plays at normal speed.
+   *
+   * @param {HTMLVideoElement} video - The playing video
+   */
+  startDriftCorrection(video) {
+    this.stopDriftCorrection();
+
+    const { clock, adStartAt } = this.sync;
+    const maxDriftMs = this.config.syncMaxDriftMs ?? 40;
+
+    this.syncTimer = setInterval(() => {
+      if (video.paused || video.ended || !video.duration) {
+        return;
+      }
+
+      let expected = (clock() - adStartAt) / 1000;
+      if (video.loop) {
+        expected %= video.duration;
+      }
+      if (expected < 0 || expected > video.duration) {
+        return;
+      }
+
+      const driftMs = (video.currentTime - expected) * 1000;
+      if (Math.abs(driftMs) >= AdlocaitePlayer.SYNC_SEEK_THRESHOLD_MS) {
+        this.log(`Sync drift ${Math.round(driftMs)}ms - seeking to ${expected.toFixed(3)}s`);
+        video.currentTime = expected;
+        video.playbackRate = 1;
+      } else if (Math.abs(driftMs) > maxDriftMs) {
+        video.playbackRate = driftMs > 0
+          ? 1 - AdlocaitePlayer.SYNC_RATE_ADJUSTMENT
+          : 1 + AdlocaitePlayer.SYNC_RATE_ADJUSTMENT;
+      } else {
+        video.playbackRate = 1;
+      }
+    }, AdlocaitePlayer.SYNC_INTERVAL_MS);
+  }
+
+  stopDriftCorrection() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+  }
+
+  /**
+   * Whether the current video frame is black, from a 16x9 thumbnail.
+   * False when the frame cannot be read (no frame yet, tainted canvas).
+   */
+  isBlackFrame(video) {
+    if (video.readyState < 2) {
+      return false;
+    }
+
+    if (!this.watchdogCanvas) {
+      this.watchdogCanvas = document.createElement('canvas');
+      this.watchdogCanvas.width = 16;
+      this.watchdogCanvas.height = 9;
+    }
+
+    try {
+      const context = this.watchdogCanvas.getContext('2d');
+      if (!context) {
+        return false;
+      }
+      context.drawImage(video, 0, 0, 16, 9);
+      const pixels = context.getImageData(0, 0, 16, 9).data;
+      for (let i = 0; i < pixels.length; i += 4) {
+        if (Math.max(pixels[i], pixels[i + 1], pixels[i + 2]) > AdlocaitePlayer.BLACK_FRAME_MAX_LUMA) {
+          return false;
+        }
+      }
+      return true;
+    } catch (e) {
+      // Cross-origin video without CORS taints the canvas
+      return false;
+    }
+  }
+
+  // ── Proof of play ─────────────────────────────────────────
+
+  /**
+   * Capture the current ad at config.proofOfPlayAt (fraction of its play
+   * time) and send it to config.proofOfPlayEndpoint. Runs on its own timer
+   * next to the tracking events and is cancelled with them when the ad is
+   * released. HTML creatives cannot be drawn to a canvas and are skipped,
+   * as are plays without a deal (house ads).
+   */
+  scheduleProofOfPlay() {
+    if (!this.config.proofOfPlayEndpoint || !this.dealId || this.vastParser.isHtml(this.currentMediaFile)) {
+      return;
+    }
+
+    const at = Math.min(Math.max(this.config.proofOfPlayAt ?? 0.5, 0), 1);
+    const playMs = (this.currentAd?.playDuration || this.duration || AdlocaitePlayer.DEFAULT_DISPLAY_DURATION) * 1000;
+    const adEntry = this.currentAd;
+
+    this.progressTimers.push(setTimeout(() => {
+      const element = this.videoElement || this.imageElement;
+      const image = element ? this.captureFrame(element) : null;
+      if (!image) {
+        return;
+      }
+
+      this.log(`Sending proof of play for ad ${adEntry?.ad?.id || ''}`.trim());
+      this.apiClient.sendProofOfPlay({
+        deal_id: this.dealId,
+        frame_id: this.broadsignAdapter.getBroadSignProperty('frame_id'),
+        timestamp: new Date().toISOString(),
+        ad_id: adEntry?.ad?.id || null,
+        asset_uri: this.currentMediaFile?.url || null,
+        playhead: this.getMacroContext().playhead,
+        image
+      });
+    }, playMs * at));
+  }
+
+  /**
+   * Downscaled JPEG (data URL) of what a video or image element shows.
+   * Null when nothing can be read: no frame decoded yet, or a cross-origin
+   * creative without CORS, which taints the canvas.
+   *
+   * @param {HTMLVideoElement|HTMLImageElement} element
+   * @returns {string|null}
+   */
+  captureFrame(element) {
+    const isVideo = element.tagName === 'VIDEO';
+    const sourceWidth = isVideo ? element.videoWidth : element.naturalWidth;
+    const sourceHeight = isVideo ? element.videoHeight : element.naturalHeight;
+    if ((isVideo && element.readyState < 2) || !sourceWidth || !sourceHeight) {
+      return null;
+    }
+
+    const width = Math.min(this.config.proofOfPlayWidth || AdlocaitePlayer.DEFAULT_PROOF_OF_PLAY_WIDTH, sourceWidth);
+    const height = Math.round(width * sourceHeight / sourceWidth);
+
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      if (!context) {
+        return null;
+      }
+      context.drawImage(element, 0, 0, width, height);
+      return canvas.toDataURL('image/jpeg', AdlocaitePlayer.PROOF_OF_PLAY_QUALITY);
+    } catch (e) {
+      // Tainted canvas: cross-origin media loaded without CORS
+      this.error(`Proof of play not captured for ${element.currentSrc || element.src}`, e.message);
+      return null;
+    }
+  }
+
   async playPreloadedImage() {
     this.log('Starting pre-loaded image display');
 
-    if (!this.preloadedImageElement) {
+    if (!this.imageElement) {
       throw new Error('No pre-loaded image element');
     }
 
-    return new Promise((resolve) => {
-      this.imageElement = this.preloadedImageElement;
+    // Only manipulate DOM if image isn't already in the container
+    if (this.imageElement.parentNode !== this.containerElement) {
+      this.containerElement.innerHTML = '';
+      this.containerElement.appendChild(this.imageElement);
+    }
 
-      // Only manipulate DOM if image isn't already in the container
-      if (this.imageElement.parentNode !== this.containerElement) {
-        this.containerElement.innerHTML = '';
-        this.containerElement.appendChild(this.imageElement);
-      }
+    return this.playTimed('Image');
+  }
+
+  async playPreloadedHtml() {
+    this.log('Starting pre-loaded HTML creative display');
+
+    if (!this.htmlElement) {
+      throw new Error('No pre-loaded HTML element');
+    }
+
+    this.showInContainer(this.htmlElement);
+
+    return this.playTimed('HTML creative');
+  }
 
+  /**
+   * Show the current image or HTML creative for its duration, firing
+   * start, simulated quartiles and complete
+   *
+   * @param {string} label - Media kind for log messages
+   */
+  playTimed(label) {
+    return new Promise((resolve) => {
       this.isPlaying = true;
       this.startTime = Date.now();
-      this.broadsignAdapter.startPlayback();
+      if (!this.broadsignAdapter.isPlaybackActive()) {
+        this.broadsignAdapter.startPlayback();
+      }
 
+      this.markFirstFrame();
       this.fireTrackingEvent('start');
-      this.log('Image display started (instant)');
+      this.log(`${label} display started (instant)`);
 
-      // Use duration from VAST or default to 10 seconds (standard slot)
-      const displayDuration = (this.duration || 10) * 1000;
-      this.log(`Displaying image for ${displayDuration}ms`);
+      // Use duration from VAST or the default display duration (standard slot)
+      const displayDuration = (this.duration || AdlocaitePlayer.DEFAULT_DISPLAY_DURATION) * 1000;
+      this.log(`Displaying ${label.toLowerCase()} for ${displayDuration}ms`);
 
-      this.simulateImageProgress(displayDuration);
+      this.simulateProgress(displayDuration);
 
-      setTimeout(async () => {
+      this.progressTimers.push(setTimeout(async () => {
         await this.fireTrackingEvent('complete');
-        this.cleanup();
         resolve();
-      }, displayDuration);
+      }, displayDuration));
     });
   }
 
+  // ── Metrics ───────────────────────────────────────────────
+
+  /**
+   * Record when the first ad of the pod put its first frame on screen
+   */
+  markFirstFrame() {
+    if (!this.firstFrameAt) {
+      this.firstFrameAt = Date.now();
+    }
+  }
+
+  /**
+   * Record play time and (for videos) frame statistics of the ad being
+   * released. Nothing is recorded for an ad that never started.
+   */
+  recordPlayedAd() {
+    if (!this.currentAd || !this.startTime) {
+      return;
+    }
+
+    const quality = this.videoElement && typeof this.videoElement.getVideoPlaybackQuality === 'function'
+      ? this.videoElement.getVideoPlaybackQuality()
+      : null;
+
+    this.playedAds.push({
+      adId: this.currentAd.ad?.id || null,
+      expectedMs: Math.round((this.currentAd.playDuration || this.duration || 0) * 1000),
+      actualMs: Date.now() - this.startTime,
+      droppedFrames: quality ? quality.droppedVideoFrames : null,
+      decodedFrames: quality ? quality.totalVideoFrames : null
+    });
+  }
+
+  /**
+   * Playback measurements of the last playPod() call
+   *
+   * @returns {{firstFrameAt: number|null, ads: Array<object>}} firstFrameAt
+   *   as epoch ms; one entry per ad that started, in play order
+   */
+  getPlaybackMetrics() {
+    return { firstFrameAt: this.firstFrameAt, ads: this.playedAds.slice() };
+  }
+
   // ── Tracking ──────────────────────────────────────────────
 
   handleVideoProgress() {
@@ -320,16 +1533,20 @@ class AdlocaitePlayer {
     // player tears down the page at slot-end, which races with the `ended`
     // listener and the tracking pixel never makes it out. The `ended`
     // handler stays as an idempotent fallback (guarded by trackingFired).
-    if (progress >= 95 && !this.trackingFired.complete) {
+    // A looped video completes once, at the end of its planned loops.
+    if (progress >= 95 && !this.trackingFired.complete && this.currentAd?.slotFit !== 'loop') {
       this.fireTrackingEvent('complete');
     }
   }
 
-  simulateImageProgress(totalDuration) {
+  /**
+   * Fire quartile events on timers for media without a playback clock
+   */
+  simulateProgress(totalDuration) {
     const fireAt = (percent, eventName) => {
-      setTimeout(() => {
+      this.progressTimers.push(setTimeout(() => {
         this.fireTrackingEvent(eventName);
-      }, (totalDuration * percent) / 100);
+      }, (totalDuration * percent) / 100));
     };
 
     fireAt(25, 'firstQuartile');
@@ -337,16 +1554,22 @@ class AdlocaitePlayer {
     fireAt(75, 'thirdQuartile');
     // Fire `complete` slightly before slot-end so the pixel leaves the page
     // before Broadsign tears it down. The final setTimeout(displayDuration)
-    // in playPreloadedImage stays as an idempotent fallback.
+    // in playTimed stays as an idempotent fallback.
     fireAt(95, 'complete');
   }
 
-  async fireTrackingEvent(eventName) {
-    if (this.trackingFired[eventName]) return;
+  /**
+   * @param {string} eventName - VAST tracking event
+   * @param {object} options
+   * @param {boolean} options.repeatable - Fire even if it already fired for
+   *   this ad (mute/unmute, see fireAudioEvent)
+   */
+  async fireTrackingEvent(eventName, { repeatable = false } = {}) {
+    if (this.trackingFired[eventName] && !repeatable) return;
 
     this.trackingFired[eventName] = true;
 
-    const urls = this.vastParser.getTrackingUrls(eventName);
+    const urls = this.getTrackingUrls(eventName);
     if (!urls || urls.length === 0) {
       this.log(`No tracking URLs for event: ${eventName}`);
       return;
@@ -354,14 +1577,138 @@ class AdlocaitePlayer {
 
     this.log(`Firing tracking event: ${eventName}`, urls);
 
+    const context = this.getMacroContext();
+
     try {
-      await Promise.all(urls.map(url => this.fireTrackingPixel(url)));
+      await Promise.all(urls.map(url => {
+        let filled = this.vastMacros.replace(url, context);
+        if (eventName === 'impression') {
+          filled = this.appendImpressionMultiplier(filled);
+        }
+        return this.fireTrackingPixel(filled);
+      }));
       this.log(`Tracking event fired successfully: ${eventName}`);
     } catch (err) {
       this.error(`Failed to fire tracking event: ${eventName}`, err);
     }
   }
 
+  /**
+   * Append the audience impression multiplier as query parameter
+   * (config.impressionMultiplierParam) to an impression URL. Off by
+   * default: third-party pixels may reject unknown parameters, so buyers
+   * use the [IMPRESSION_MULTIPLIER] macro instead.
+   */
+  appendImpressionMultiplier(url) {
+    const param = this.config.impressionMultiplierParam;
+    if (!param) {
+      return url;
+    }
+
+    const { multiplier } = this.broadsignAdapter.getImpressionMultiplier();
+    const separator = url.indexOf('?') === -1 ? '?' : '&';
+    return `${url}${separator}${encodeURIComponent(param)}=${encodeURIComponent(multiplier)}`;
+  }
+
+  /**
+   * Fire creativeView of the companions shown with the current ad.
+   * Companion tracking is kept per companion (see VASTParser.parseCompanionAds).
+   *
+   * @param {Array<object>} companions - Companions returned by CompanionRenderer.show()
+   */
+  async fireCompanionViews(companions) {
+    await Promise.all(companions.map(companion => {
+      const urls = companion.trackingEvents?.creativeView || [];
+      if (urls.length === 0) {
+        return null;
+      }
+
+      this.log(`Firing companion creativeView (${companion.width}x${companion.height})`, urls);
+      const context = this.getMacroContext({ assetUri: companion.resource.url });
+      return Promise.all(urls.map(url =>
+        this.fireTrackingPixel(this.vastMacros.replace(url, context))
+      ));
+    }));
+  }
+
+  /**
+   * Tracking URLs of the ad being played (falls back to the first ad
+   * of the VAST before playback has started)
+   */
+  getTrackingUrls(eventName) {
+    if (this.currentAd) {
+      return this.currentAd.trackingEvents?.[eventName] || [];
+    }
+    return this.vastParser.getTrackingUrls(eventName);
+  }
+
+  /**
+   * Fire the VAST <Error> URLs with the given error code.
+   * Called by the app's central skip handler so buyers learn why their
+   * creative did not run.
+   *
+   * @param {number} errorCode - VAST error code (see VASTParser.ERROR_CODES)
+   * @param {object} adEntry - Ad that failed (defaults to the current ad)
+   */
+  async fireErrorEvent(errorCode, adEntry = null) {
+    const isCurrentAd = !adEntry;
+    if (isCurrentAd && this.trackingFired.error) return;
+
+    const urls = adEntry ? (adEntry.trackingEvents?.error || []) : this.getTrackingUrls('error');
+    if (!urls || urls.length === 0) {
+      this.log('No error URLs in VAST');
+      return;
+    }
+
+    if (isCurrentAd) {
+      this.trackingFired.error = true;
+    }
+    const code = errorCode || VASTParser.ERROR_CODES.UNDEFINED_ERROR;
+    this.log(`Firing VAST error ${code}`, urls);
+
+    const context = this.getMacroContext(adEntry?.mediaFile
+      ? { errorCode: code, assetUri: adEntry.mediaFile.url }
+      : { errorCode: code });
+
+    await Promise.all(urls.map(url =>
+      this.fireTrackingPixel(this.vastMacros.replace(url, context))
+    ));
+  }
+
+  /**
+   * Fire-time values for VAST macros ([ASSETURI], [CONTENTPLAYHEAD], ...)
+   */
+  getMacroContext(extra = {}) {
+    const mediaFile = this.currentMediaFile || this.preloadedMediaFile;
+
+    let playhead = 0;
+    if (this.videoElement) {
+      playhead = this.videoElement.currentTime;
+    } else if (this.startTime) {
+      playhead = (Date.now() - this.startTime) / 1000;
+    }
+
+    return {
+      assetUri: mediaFile?.url || null,
+      playhead,
+      slotFit: this.currentAd?.slotFit || null,
+      ...extra
+    };
+  }
+
+  /**
+   * Map an HTMLMediaElement MediaError to a VAST error code
+   */
+  getMediaErrorCode(mediaError) {
+    const codes = VASTParser.ERROR_CODES;
+    switch (mediaError?.code) {
+      case 2: return codes.FILE_NOT_FOUND;       // MEDIA_ERR_NETWORK
+      case 3: return codes.MEDIA_DISPLAY_ERROR;  // MEDIA_ERR_DECODE
+      case 4: return codes.NO_SUPPORTED_MEDIA;   // MEDIA_ERR_SRC_NOT_SUPPORTED
+      default: return codes.FILE_NOT_FOUND;
+    }
+  }
+
   async fireTrackingPixel(url) {
     // `fetch` with `keepalive: true` lets the request survive page unload —
     // an `Image()` request is aborted when Broadsign tears the page down at
@@ -383,13 +1730,19 @@ class AdlocaitePlayer {
 
   // ── Cleanup ───────────────────────────────────────────────
 
-  cleanup() {
-    this.log('Cleaning up player');
-
-    this.isPlaying = false;
-    this.broadsignAdapter.endPlayback();
+  /**
+   * Release the media element of the ad that just played and reset its
+   * tracking state. Pre-loaded media (next pod ad) is kept.
+   */
+  releaseCurrentMedia() {
+    this.recordPlayedAd();
+    this.progressTimers.forEach(timer => clearTimeout(timer));
+    this.progressTimers = [];
+    this.stopWatchdog();
+    this.stopDriftCorrection();
 
     if (this.videoElement) {
+      this.releaseObjectUrl(this.videoElement);
       // Remove error listener before clearing src (setting src='' fires an error event)
       this.videoElement.onerror = null;
       this.videoElement.pause();
@@ -399,7 +1752,61 @@ class AdlocaitePlayer {
       this.videoElement = null;
     }
 
+    if (this.imageElement) {
+      this.releaseObjectUrl(this.imageElement);
+      this.imageElement.src = '';
+      this.imageElement.remove();
+      this.imageElement = null;
+    }
+
+    if (this.htmlElement) {
+      this.htmlElement.remove();
+      this.htmlElement = null;
+    }
+
+    if (this.companionRenderer) {
+      this.companionRenderer.release();
+    }
+
+    this.currentMediaFile = null;
+    this.startTime = null;
+    this.audioAudible = null;
+
+    this.trackingFired = {
+      impression: false,
+      start: false,
+      firstQuartile: false,
+      midpoint: false,
+      thirdQuartile: false,
+      complete: false,
+      mute: false,
+      unmute: false,
+      error: false
+    };
+  }
+
+  cleanup() {
+    this.log('Cleaning up player');
+
+    this.isPlaying = false;
+    this.broadsignAdapter.endPlayback();
+
+    this.preloadGeneration++;
+    this.pendingCacheStores = [];
+    this.releaseCurrentMedia();
+    this.releasePreloadedMedia();
+
+    if (this.companionRenderer) {
+      this.companionRenderer.releasePreloaded();
+    }
+  }
+
+  /**
+   * Release pre-loaded media that has not been handed over to playback
+   */
+  releasePreloadedMedia() {
     if (this.preloadedVideoElement && this.preloadedVideoElement !== this.videoElement) {
+      this.releaseObjectUrl(this.preloadedVideoElement);
       this.preloadedVideoElement.onerror = null;
       this.preloadedVideoElement.pause();
       this.preloadedVideoElement.removeAttribute('src');
@@ -408,29 +1815,29 @@ class AdlocaitePlayer {
     }
     this.preloadedVideoElement = null;
 
-    if (this.imageElement) {
-      this.imageElement.src = '';
-      this.imageElement.remove();
-      this.imageElement = null;
-    }
-
     if (this.preloadedImageElement && this.preloadedImageElement !== this.imageElement) {
+      this.releaseObjectUrl(this.preloadedImageElement);
       this.preloadedImageElement.src = '';
       this.preloadedImageElement.remove();
     }
     this.preloadedImageElement = null;
 
+    if (this.preloadedHtmlElement && this.preloadedHtmlElement !== this.htmlElement) {
+      this.preloadedHtmlElement.remove();
+    }
+    this.preloadedHtmlElement = null;
+
     this.preloadedMediaFile = null;
     this.isMediaPreloaded = false;
+  }
 
-    this.trackingFired = {
-      impression: false,
-      start: false,
-      firstQuartile: false,
-      midpoint: false,
-      thirdQuartile: false,
-      complete: false
-    };
+  /**
+   * Revoke the cache blob URL a media element was loaded from, if any
+   */
+  releaseObjectUrl(element) {
+    if (this.cacheManager && element.src) {
+      this.cacheManager.releaseObjectUrl(element.src);
+    }
   }
 
   stop() {
@@ -0,0 +1,115 @@
+/**
+ * Slot Metrics
+ *
+ * Timings and playback quality of one Broadsign slot, sent as a single
+ * 'Slot metrics' event through AdlocaiteLogger when the slot ends (played
+ * or skipped), so PREBUFFER and playback performance can be compared
+ * across sites:
+ * - offerRequestMs, acceptMs, mediaPreloadMs: API and download latencies
+ * - prebufferMs: app initialization to content ready
+ * - firstFrameMs: BroadSignPlay() to the first frame on screen
+ * - droppedFrames / decodedFrames: getVideoPlaybackQuality() of the videos
+ * - expectedPlayMs / actualPlayMs: planned vs. real play time of the ads
+ *
+ * A measurement that did not happen in this slot (e.g. no offer request
+ * for a lookahead offer) is null.
+ */
+
+class SlotMetrics {
+  constructor(logger) {
+    this.logger = logger;
+    this.pageLoadedAt = Date.now();
+    this.playStartedAt = null;
+    this.started = {};
+    this.values = {
+      offerRequestMs: null,
+      acceptMs: null,
+      mediaPreloadMs: null,
+      prebufferMs: null
+    };
+    this.sent = false;
+  }
+
+  /**
+   * Start timing a step; end(name) stores it as `${name}Ms`
+   */
+  begin(name) {
+    this.started[name] = Date.now();
+  }
+
+  end(name) {
+    if (this.started[name] !== undefined) {
+      this.values[`${name}Ms`] = Date.now() - this.started[name];
+      delete this.started[name];
+    }
+  }
+
+  /**
+   * Add plain values to the summary (offerId, fromLookahead, ...)
+   */
+  set(values) {
+    Object.assign(this.values, values);
+  }
+
+  /**
+   * Content is ready to play (end of PREBUFFER work)
+   */
+  markReady() {
+    this.values.prebufferMs = Date.now() - this.pageLoadedAt;
+  }
+
+  /**
+   * BroadSignPlay() fired
+   */
+  markPlay() {
+    this.playStartedAt = Date.now();
+  }
+
+  /**
+   * Playback part of the summary
+   *
+   * @param {object|null} playback - AdlocaitePlayer.getPlaybackMetrics()
+   */
+  summarizePlayback(playback) {
+    const ads = playback?.ads || [];
+    const videoAds = ads.filter(ad => ad.decodedFrames !== null);
+    const sum = (list, key) => list.reduce((total, ad) => total + ad[key], 0);
+
+    return {
+      firstFrameMs: playback?.firstFrameAt && this.playStartedAt
+        ? playback.firstFrameAt - this.playStartedAt
+        : null,
+      adsPlayed: ads.length,
+      expectedPlayMs: ads.length ? sum(ads, 'expectedMs') : null,
+      actualPlayMs: ads.length ? sum(ads, 'actualMs') : null,
+      droppedFrames: videoAds.length ? sum(videoAds, 'droppedFrames') : null,
+      decodedFrames: videoAds.length ? sum(videoAds, 'decodedFrames') : null
+    };
+  }
+
+  /**
+   * Send the summary event. Only the first call per slot is sent.
+   *
+   * @param {string} outcome - 'played' or 'skipped'
+   * @param {string|null} reason - Skip reason
+   * @param {object|null} playback - AdlocaitePlayer.getPlaybackMetrics()
+   */
+  send(outcome, reason = null, playback = null) {
+    if (this.sent) {
+      return;
+    }
+    this.sent = true;
+
+    this.logger.event('Adlocaite', 'Slot metrics', {
+      outcome,
+      reason,
+      ...this.values,
+      ...this.summarizePlayback(playback)
+    });
+  }
+}
+
+// Make class globally available
+if (typeof window !== 'undefined') {
+  window.SlotMetrics = SlotMetrics;
+}
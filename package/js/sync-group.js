@@ -0,0 +1,333 @@
+/**
+ * Sync Group
+ *
+ * Synchronized playback for video walls made of several Broadsign players
+ * (config.syncGroups). The first frame listed for a group is its leader:
+ * - The leader requests, accepts and tracks the offer as usual and
+ *   publishes it to the group: the resolved VAST data (Wrappers already
+ *   followed), the media files it plays and the deal
+ * - Followers pre-load the leader's creative instead of requesting their own
+ * - On BroadSignPlay() the leader publishes a start timestamp a little in
+ *   the future (syncStartDelayMs); every member starts playback then, and
+ *   AdlocaitePlayer keeps videos on that timeline (drift correction)
+ *
+ * Transport: a WebSocket coordinator (syncCoordinatorUrl, see
+ * test/sync-coordinator.js) for players on different machines -- it relays
+ * group messages and provides the shared clock -- or a BroadcastChannel
+ * for players and frames on the same machine.
+ *
+ * Messages are JSON: { type, group, member, ... } with type 'join',
+ * 'offer', 'start', 'skip' or 'time' (clock request to the coordinator).
+ * Each player page serves one slot. The next slot's followers pre-buffer
+ * while this slot plays, so 'start' and 'skip' carry the offerId they
+ * belong to, and a leader that has started no longer re-sends its state.
+ */
+
+class SyncGroup {
+  static CHANNEL_PREFIX = 'adlocaite-sync.';
+  static CONNECT_TIMEOUT_MS = 2000;
+
+  /**
+   * Clock requests sent to the coordinator; the one with the shortest
+   * round trip sets the offset
+   */
+  static CLOCK_SAMPLES = 5;
+
+  /**
+   * @param {object} config
+   * @param {string|null} frameId - Broadsign frame_id of this player
+   */
+  constructor(config, frameId) {
+    this.config = config;
+    this.frameId = frameId;
+    this.groupId = null;
+    this.leaderId = null;
+
+    Object.entries(config.syncGroups || {}).forEach(([groupId, frameIds]) => {
+      const members = (frameIds || []).map(String);
+      if (!this.groupId && frameId && members.includes(String(frameId))) {
+        this.groupId = groupId;
+        this.leaderId = members[0];
+      }
+    });
+
+    this.transport = null;
+    this.clockOffset = 0;
+    this.offer = null;
+    this.start = null;
+    this.skip = null;
+    this.waiters = [];
+  }
+
+  log(message, data = null) {
+    if (this.config.debugMode) {
+      const timestamp = new Date().toISOString();
+      console.log(`[${timestamp}] [Sync Group]`, message, data || '');
+    }
+  }
+
+  error(message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.error(`[${timestamp}] [Sync Group Error]`, message, data || '');
+  }
+
+  /**
+   * Whether this frame is part of a sync group
+   */
+  isEnabled() {
+    return !!this.groupId;
+  }
+
+  isLeader() {
+    return this.isEnabled() && String(this.frameId) === this.leaderId;
+  }
+
+  isFollower() {
+    return this.isEnabled() && !this.isLeader();
+  }
+
+  // ── Connection ────────────────────────────────────────────
+
+  /**
+   * Connect to the group and announce this member. Never throws: without
+   * a connection the leader plays on its own and followers time out.
+   */
+  async connect() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    try {
+      if (this.config.syncCoordinatorUrl) {
+        await this.openWebSocket(this.config.syncCoordinatorUrl);
+        await this.syncClock();
+      } else if (typeof BroadcastChannel !== 'undefined') {
+        this.openBroadcastChannel();
+      } else {
+        throw new Error('no syncCoordinatorUrl and no BroadcastChannel');
+      }
+
+      this.log(`Joined group ${this.groupId} as ${this.isLeader() ? 'leader' : 'follower'} (clock offset ${this.clockOffset}ms)`);
+      this.send({ type: 'join' });
+      // Followers that joined before us
+      this.republish();
+    } catch (err) {
+      this.error(`Could not join sync group ${this.groupId}`, err.message);
+    }
+  }
+
+  openWebSocket(url) {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      const timeout = setTimeout(() => {
+        socket.close();
+        reject(new Error('coordinator connection timeout'));
+      }, SyncGroup.CONNECT_TIMEOUT_MS);
+
+      socket.onopen = () => {
+        clearTimeout(timeout);
+        this.transport = {
+          send: data => socket.send(data),
+          close: () => socket.close()
+        };
+        resolve();
+      };
+      socket.onerror = () => {
+        clearTimeout(timeout);
+        reject(new Error('coordinator connection failed'));
+      };
+      socket.onmessage = event => this.receive(event.data);
+    });
+  }
+
+  openBroadcastChannel() {
+    const channel = new BroadcastChannel(SyncGroup.CHANNEL_PREFIX + this.groupId);
+    channel.onmessage = event => this.receive(event.data);
+    this.transport = {
+      send: data => channel.postMessage(data),
+      close: () => channel.close()
+    };
+  }
+
+  /**
+   * Estimate the offset to the coordinator's clock (NTP-style, assuming
+   * symmetric network delay)
+   */
+  async syncClock() {
+    let best = null;
+
+    for (let i = 0; i < SyncGroup.CLOCK_SAMPLES; i++) {
+      const t0 = Date.now();
+      const reply = this.waitFor(message => message.type === 'time' && message.t0 === t0,
+        SyncGroup.CONNECT_TIMEOUT_MS);
+      this.transport.send(JSON.stringify({ type: 'time', t0 }));
+      const { now } = await reply;
+      const t1 = Date.now();
+
+      if (!best || t1 - t0 < best.roundTrip) {
+        best = { roundTrip: t1 - t0, offset: now - (t0 + t1) / 2 };
+      }
+    }
+
+    this.clockOffset = Math.round(best.offset);
+  }
+
+  close() {
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
+  }
+
+  // ── Messages ──────────────────────────────────────────────
+
+  send(message) {
+    if (!this.transport) {
+      return;
+    }
+    this.transport.send(JSON.stringify({ ...message, group: this.groupId, member: this.frameId }));
+  }
+
+  receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+    if (!message || (message.group && message.group !== this.groupId) || message.member === this.frameId) {
+      return;
+    }
+
+    if (message.type === 'join' && this.isLeader() && !this.start) {
+      this.log(`Member ${message.member} joined`);
+      this.republish();
+    }
+    if (this.isFollower() && message.member === this.leaderId) {
+      const ownSlot = (message.offerId ?? null) === (this.offer?.offerId ?? null);
+      if (message.type === 'offer' && !this.offer) this.offer = message;
+      if (message.type === 'start' && ownSlot) this.start = message;
+      if (message.type === 'skip' && ownSlot) this.skip = message;
+    }
+
+    const matching = this.waiters.filter(waiter => waiter.match(message));
+    this.waiters = this.waiters.filter(waiter => !matching.includes(waiter));
+    matching.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.resolve(message);
+    });
+  }
+
+  /**
+   * Resolve with the first message matching `match`; reject after timeoutMs
+   */
+  waitFor(match, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        match,
+        resolve,
+        timer: setTimeout(() => {
+          this.waiters = this.waiters.filter(w => w !== waiter);
+          reject(new Error('timeout'));
+        }, timeoutMs)
+      };
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Send the leader's current state again (for members that just joined)
+   */
+  republish() {
+    if (!this.isLeader()) {
+      return;
+    }
+    [this.offer, this.start, this.skip].forEach(message => {
+      if (message) {
+        this.send(message);
+      }
+    });
+  }
+
+  // ── Leader ────────────────────────────────────────────────
+
+  /**
+   * @param {object} offer - { vastData, mediaUrls, offerId, dealId }
+   */
+  publishOffer(offer) {
+    this.offer = { type: 'offer', ...offer };
+    this.send(this.offer);
+  }
+
+  publishStart(startAt) {
+    this.start = { type: 'start', startAt, offerId: this.offer?.offerId ?? null };
+    this.send(this.start);
+  }
+
+  publishSkip(reason) {
+    this.skip = { type: 'skip', reason, offerId: this.offer?.offerId ?? null };
+    this.send(this.skip);
+  }
+
+  // ── Follower ──────────────────────────────────────────────
+
+  /**
+   * The leader's offer
+   *
+   * @returns {Promise<object>} { vastData, mediaUrls, offerId, dealId }
+   * @throws {Error} with skipReason 'sync timeout' or 'leader skipped'
+   */
+  waitForOffer(timeoutMs) {
+    return this.waitForLeader('offer', timeoutMs);
+  }
+
+  /**
+   * The leader's start timestamp (group clock, epoch ms)
+   */
+  async waitForStart(timeoutMs) {
+    const message = await this.waitForLeader('start', timeoutMs);
+    return message.startAt;
+  }
+
+  async waitForLeader(type, timeoutMs) {
+    let message = this.skip || this[type];
+    if (!message) {
+      try {
+        // receive() stores the leader's messages that belong to this slot
+        message = await this.waitFor(m => m === this[type] || m === this.skip, timeoutMs);
+      } catch (e) {
+        const err = new Error(`No ${type} from sync group leader ${this.leaderId} within ${timeoutMs}ms`);
+        err.skipReason = 'sync timeout';
+        throw err;
+      }
+    }
+
+    if (message.type === 'skip') {
+      const err = new Error(`Sync group leader skipped: ${message.reason}`);
+      err.skipReason = 'leader skipped';
+      throw err;
+    }
+    return message;
+  }
+
+  // ── Clock ─────────────────────────────────────────────────
+
+  /**
+   * Current time on the group clock (epoch ms)
+   */
+  now() {
+    return Date.now() + this.clockOffset;
+  }
+
+  /**
+   * Resolve when the group clock reaches `timestamp`
+   */
+  waitUntil(timestamp) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, timestamp - this.now())));
+  }
+}
+
+// Make class globally available
+if (typeof window !== 'undefined') {
+  window.SyncGroup = SyncGroup;
+}
@@ -0,0 +1,113 @@
+/**
+ * VAST Macros
+ *
+ * Fills macros in tracking, error and Wrapper URLs at fire time.
+ * Shared by VASTParser (VASTAdTagURI) and AdlocaitePlayer (tracking pixels).
+ *
+ * Supported macros:
+ * - IAB VAST 4.x: [TIMESTAMP], [CACHEBUSTING], [ASSETURI], [ERRORCODE],
+ *   [CONTENTPLAYHEAD], [MEDIAPLAYHEAD], [ADPLAYHEAD], [DEVICEUA], [LATLONG]
+ * - DOOH (from BroadSignObject): [FRAME_ID], [DISPLAY_UNIT_ID], [PLAYER_ID],
+ *   [IMPRESSION_MULTIPLIER]
+ * - Playback: [SLOT_FIT] (how the ad fills the Broadsign slot)
+ *
+ * Values are URL-encoded. Known macros without a value are filled with -1
+ * ("unknown" in VAST 4.1); unknown macros are left untouched.
+ */
+
+class VASTMacros {
+  constructor(config, broadsignAdapter = null) {
+    this.config = config;
+    this.broadsignAdapter = broadsignAdapter;
+  }
+
+  /**
+   * Replace macros in a URL
+   *
+   * @param {string} url - Tracking, error or Wrapper URL
+   * @param {object} context - Fire-time values
+   * @param {string} context.assetUri - URL of the media file being played
+   * @param {number} context.playhead - Playback position in seconds
+   * @param {number} context.errorCode - VAST error code (Error URLs only)
+   * @param {string} context.slotFit - How the ad fills the slot ('none', 'stretch', 'loop')
+   * @returns {string} URL with macros filled
+   */
+  replace(url, context = {}) {
+    if (!url || url.indexOf('[') === -1) {
+      return url;
+    }
+
+    const values = this.getValues(context);
+
+    return url.replace(/\[([A-Z_]+)\]/g, (match, name) => {
+      if (!Object.prototype.hasOwnProperty.call(values, name)) {
+        return match;
+      }
+      const value = values[name];
+      return encodeURIComponent(value === null || value === undefined ? -1 : value);
+    });
+  }
+
+  /**
+   * Build the macro → value map for one fire
+   */
+  getValues(context) {
+    const playhead = this.formatPlayhead(context.playhead);
+
+    return {
+      TIMESTAMP: new Date().toISOString(),
+      CACHEBUSTING: this.getCacheBuster(),
+      ASSETURI: context.assetUri,
+      ERRORCODE: context.errorCode,
+      CONTENTPLAYHEAD: playhead,
+      MEDIAPLAYHEAD: playhead,
+      ADPLAYHEAD: playhead,
+      DEVICEUA: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      LATLONG: this.getBroadSignValue('display_unit_lat_long'),
+      FRAME_ID: this.getBroadSignValue('frame_id'),
+      DISPLAY_UNIT_ID: this.getBroadSignValue('display_unit_id'),
+      PLAYER_ID: this.getBroadSignValue('player_id'),
+      IMPRESSION_MULTIPLIER: this.broadsignAdapter
+        ? this.broadsignAdapter.getImpressionMultiplier().multiplier
+        : null,
+      SLOT_FIT: context.slotFit
+    };
+  }
+
+  /**
+   * Helper: Read a BroadSignObject property (null outside Broadsign)
+   */
+  getBroadSignValue(name) {
+    return this.broadsignAdapter ? this.broadsignAdapter.getBroadSignProperty(name) : null;
+  }
+
+  /**
+   * Helper: Random 8-digit cache buster
+   */
+  getCacheBuster() {
+    return String(Math.floor(Math.random() * 100000000)).padStart(8, '0');
+  }
+
+  /**
+   * Helper: Format seconds as HH:MM:SS.mmm
+   */
+  formatPlayhead(seconds) {
+    if (seconds === null || seconds === undefined || isNaN(seconds)) {
+      return null;
+    }
+
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+  }
+}
+
+// Make class globally available
+if (typeof window !== 'undefined') {
+  window.VASTMacros = VASTMacros;
+}
@@ -7,12 +7,43 @@
  * - Deal ID from custom extensions
  * - Ad metadata (duration, dimensions, etc.)
  * 
+ * Follows Wrapper chains (VASTAdTagURI) down to the InLine ad via resolve().
+ *
  * Supports VAST 2.0, 3.0, and 4.0
  */
 
 class VASTParser {
-  constructor(config) {
+  /**
+   * IAB VAST error codes reported via <Error> URLs ([ERRORCODE] macro)
+   */
+  static ERROR_CODES = {
+    XML_PARSE_ERROR: 100,
+    DURATION_MISMATCH: 202,
+    WRAPPER_ERROR: 300,
+    WRAPPER_TIMEOUT: 301,
+    WRAPPER_LIMIT: 302,
+    WRAPPER_NO_ADS: 303,
+    LINEAR_ERROR: 400,
+    FILE_NOT_FOUND: 401,
+    MEDIA_TIMEOUT: 402,
+    NO_SUPPORTED_MEDIA: 403,
+    MEDIA_DISPLAY_ERROR: 405,
+    NONLINEAR_RESOURCE_TIMEOUT: 502,
+    UNDEFINED_ERROR: 900
+  };
+
+  /**
+   * Create an Error carrying a VAST error code (err.vastErrorCode)
+   */
+  static createError(message, vastErrorCode) {
+    const err = new Error(message);
+    err.vastErrorCode = vastErrorCode;
+    return err;
+  }
+
+  constructor(config, macros = null) {
     this.config = config;
+    this.macros = macros;
     this.xmlDoc = null;
     this.parsedData = null;
   }
@@ -43,7 +74,9 @@ class VASTParser {
    */
   parse(xmlString) {
     this.log('Parsing VAST XML');
-    
+    // Never leave the previous offer's data behind if this one fails
+    this.parsedData = null;
+
     try {
       // Parse XML string
       const parser = new DOMParser();
@@ -52,18 +85,28 @@ class VASTParser {
       // Check for parsing errors
       const parserError = this.xmlDoc.querySelector('parsererror');
       if (parserError) {
-        throw new Error(`XML parsing error: ${parserError.textContent}`);
+        throw VASTParser.createError(
+          `XML parsing error: ${parserError.textContent}`,
+          VASTParser.ERROR_CODES.XML_PARSE_ERROR
+        );
+      }
+
+      // Extract VAST data, one entry per <Ad> (ad pods have several)
+      const ads = this.parseAds();
+      if (ads.length === 0) {
+        this.error('No Ad element found in VAST');
       }
 
-      // Extract VAST data
+      // Top-level fields describe the Ad that plays first (sequence order
+      // for a pod), or the no-ad response
+      const primary = this.selectPod(ads)[0] || this.parseNoAdResponse();
+
       this.parsedData = {
         version: this.getVASTVersion(),
-        ad: this.parseAd(),
-        creative: this.parseCreative(),
-        mediaFiles: this.parseMediaFiles(),
-        trackingEvents: this.parseTrackingEvents(),
-        clickTracking: this.parseClickTracking(),
-        customExtensions: this.parseCustomExtensions()
+        ...primary,
+        ads,
+        // Offer-level data (DealId, OfferId, ...) is read from that Ad
+        customExtensions: primary.extensions || this.createEmptyExtensions()
       };
 
       this.log('VAST parsed successfully', this.parsedData);
@@ -75,6 +118,188 @@ class VASTParser {
     }
   }
 
+  /**
+   * Use VAST data another player already parsed and resolved (a video
+   * wall's sync group leader) -- nothing is parsed or fetched
+   *
+   * @param {object} data - parsedData as returned by resolve()
+   * @returns {object} Parsed VAST data
+   */
+  load(data) {
+    this.xmlDoc = null;
+    this.parsedData = null;
+
+    if (!data || !Array.isArray(data.ads) || data.wrapper) {
+      throw VASTParser.createError('No resolved InLine VAST data', VASTParser.ERROR_CODES.XML_PARSE_ERROR);
+    }
+
+    this.parsedData = data;
+    this.log('Resolved VAST data loaded', this.parsedData);
+    return this.parsedData;
+  }
+
+  /**
+   * Parse VAST XML and follow Wrapper chains until an InLine ad is reached.
+   *
+   * Impression, Tracking and Error URLs of every Wrapper layer are merged
+   * into the final trackingEvents, so the player fires the whole chain.
+   * The chain is bounded by `vastWrapperMaxDepth` and a total time budget
+   * (`vastWrapperTimeout`) that has to fit inside the PREBUFFER window.
+   *
+   * If resolution fails, parsedData keeps the merged data of the layers
+   * resolved so far (including their Error URLs) before the error is thrown;
+   * when the first document does not parse, parsedData is null.
+   *
+   * @param {string} xmlString - VAST XML content (InLine or Wrapper)
+   * @returns {Promise<object>} Parsed VAST data of the InLine ad
+   */
+  async resolve(xmlString) {
+    const codes = VASTParser.ERROR_CODES;
+    const maxDepth = this.config.vastWrapperMaxDepth ?? 5;
+    const deadline = Date.now() + (this.config.vastWrapperTimeout ?? 3000);
+    const visited = new Set();
+    const wrapperChain = [];
+    this.parsedData = null;
+
+    let data = this.parse(xmlString);
+    let merged = data;
+
+    try {
+      while (data.wrapper) {
+        const { adTagUri, followAdditionalWrappers } = data.wrapper;
+        if (!adTagUri) {
+          throw VASTParser.createError('Wrapper without VASTAdTagURI', codes.WRAPPER_ERROR);
+        }
+        if (wrapperChain.length >= maxDepth) {
+          throw VASTParser.createError(`Wrapper limit reached (max depth ${maxDepth})`, codes.WRAPPER_LIMIT);
+        }
+        if (visited.has(adTagUri)) {
+          throw VASTParser.createError(`Wrapper loop detected: ${adTagUri}`, codes.WRAPPER_ERROR);
+        }
+        visited.add(adTagUri);
+        wrapperChain.push(adTagUri);
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          throw VASTParser.createError('Wrapper timeout budget exhausted', codes.WRAPPER_TIMEOUT);
+        }
+
+        this.log(`Following wrapper (depth ${wrapperChain.length}): ${adTagUri}`);
+        let xml;
+        try {
+          const url = this.macros ? this.macros.replace(adTagUri) : adTagUri;
+          xml = await this.fetchWrapperTarget(url, remaining);
+        } catch (err) {
+          err.vastErrorCode = codes.WRAPPER_TIMEOUT;
+          throw err;
+        }
+        data = this.parse(xml);
+        merged = this.mergeLayers(merged, data);
+
+        if (!data.ad) {
+          throw VASTParser.createError('No Ad in wrapped VAST response', codes.WRAPPER_NO_ADS);
+        }
+        if (data.wrapper && !followAdditionalWrappers) {
+          throw VASTParser.createError(
+            'Wrapper returned another Wrapper but followAdditionalWrappers is false',
+            codes.WRAPPER_ERROR
+          );
+        }
+      }
+    } catch (err) {
+      // Keep the Error/Tracking URLs of the layers resolved so far
+      this.parsedData = merged;
+      this.parsedData.wrapperChain = wrapperChain;
+      this.error('Failed to resolve VAST wrapper chain', err);
+      throw err;
+    }
+
+    this.parsedData = merged;
+    this.parsedData.wrapperChain = wrapperChain;
+
+    if (wrapperChain.length > 0) {
+      this.log(`Wrapper chain resolved (${wrapperChain.length} hop(s))`, this.parsedData);
+    }
+    return this.parsedData;
+  }
+
+  /**
+   * Fetch the VAST document a Wrapper points to
+   *
+   * @param {string} url - VASTAdTagURI
+   * @param {number} timeout - Remaining time budget in ms
+   * @returns {Promise<string>} VAST XML
+   */
+  async fetchWrapperTarget(url, timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        signal: controller.signal,
+        credentials: 'omit'
+      });
+      if (!response.ok) {
+        throw new Error(`Wrapper request failed: HTTP ${response.status}`);
+      }
+      return await response.text();
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw new Error(`Wrapper request timeout: ${url}`);
+      }
+      throw err;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Merge an outer (Wrapper) layer into the next inner layer.
+   * Tracking URLs are concatenated per event (into every Ad of the inner
+   * layer), extension values of the inner layer win and fall back to the
+   * outer layer. The Wrapper's Impression counts once per response, so it
+   * only goes to the Ad that plays first.
+   */
+  mergeLayers(outer, inner) {
+    const mergeTracking = (innerEvents, withImpression) => {
+      const trackingEvents = { ...outer.trackingEvents };
+      if (!withImpression) {
+        delete trackingEvents.impression;
+      }
+      Object.entries(innerEvents || {}).forEach(([event, urls]) => {
+        trackingEvents[event] = (trackingEvents[event] || []).concat(urls);
+      });
+      return trackingEvents;
+    };
+    const primary = this.selectPod(inner.ads || [])[0];
+
+    return {
+      ...outer,
+      ...inner,
+      trackingEvents: mergeTracking(inner.trackingEvents, true),
+      ads: (inner.ads || []).map(entry => ({
+        ...entry,
+        trackingEvents: mergeTracking(entry.trackingEvents, entry === primary)
+      })),
+      customExtensions: this.mergeExtensions(outer.customExtensions, inner.customExtensions)
+    };
+  }
+
+  /**
+   * Merge two custom extension objects; set values of `override` win
+   */
+  mergeExtensions(base, override) {
+    const extensions = { ...base };
+    Object.entries(override || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined &&
+          !(key === 'adlocaiteData' && Object.keys(value).length === 0)) {
+        extensions[key] = value;
+      }
+    });
+    return extensions;
+  }
+
   /**
    * Get VAST version from XML
    */
@@ -84,64 +309,227 @@ class VASTParser {
   }
 
   /**
-   * Parse Ad element
+   * Parse all Ad elements in document order.
+   * Every entry is scoped to its own <Ad>, so tracking and media of
+   * one ad never leak into another.
    */
-  parseAd() {
-    const adElement = this.xmlDoc.querySelector('Ad');
-    if (!adElement) {
-      this.error('No Ad element found in VAST');
-      return null;
+  parseAds() {
+    const adElements = this.xmlDoc.querySelectorAll('VAST > Ad');
+    return Array.from(adElements).map(adElement => this.parseAdEntry(adElement));
+  }
+
+  /**
+   * Parse one Ad into a tree: Ad → Creatives → Linear / NonLinear / Companion.
+   *
+   * The entry's creative, mediaFiles, trackingEvents and clickTracking
+   * describe the creative that will be rendered (see selectRenderedCreative).
+   * Its trackingEvents hold that creative's Tracking plus the Ad's Impression
+   * and Error URLs — never Tracking of other creatives or companions.
+   * `companions` lists the Companions of all CompanionAds creatives.
+   */
+  parseAdEntry(adElement) {
+    const impressions = this.getUrls(adElement, 'InLine > Impression, Wrapper > Impression');
+    const errorUrls = this.getUrls(adElement, 'InLine > Error, Wrapper > Error');
+    const creatives = this.parseCreatives(adElement);
+    const rendered = this.selectRenderedCreative(creatives);
+
+    const trackingEvents = { ...(rendered ? rendered.trackingEvents : {}) };
+    if (impressions.length > 0) {
+      trackingEvents.impression = impressions;
+    }
+    if (errorUrls.length > 0) {
+      trackingEvents.error = errorUrls;
     }
 
+    return {
+      ad: this.parseAd(adElement),
+      wrapper: this.parseWrapper(adElement),
+      impressions,
+      errorUrls,
+      creatives,
+      companions: creatives
+        .filter(creative => creative.type === 'CompanionAds')
+        .reduce((all, creative) => all.concat(creative.companions), []),
+      extensions: this.parseCustomExtensions(adElement),
+      creative: rendered,
+      mediaFiles: rendered ? rendered.mediaFiles : [],
+      trackingEvents,
+      clickTracking: rendered ? rendered.clickTracking : { clickThrough: [], clickTracking: [] }
+    };
+  }
+
+  /**
+   * Parse a VAST response without any Ad (only root-level <Error> URLs)
+   */
+  parseNoAdResponse() {
+    const errorUrls = this.getUrls(this.xmlDoc, 'VAST > Error');
+
+    return {
+      ad: null,
+      wrapper: null,
+      impressions: [],
+      errorUrls,
+      creatives: [],
+      companions: [],
+      creative: null,
+      mediaFiles: [],
+      trackingEvents: errorUrls.length > 0 ? { error: errorUrls } : {},
+      clickTracking: { clickThrough: [], clickTracking: [] }
+    };
+  }
+
+  /**
+   * Parse Ad element
+   */
+  parseAd(adElement) {
     return {
       id: adElement.getAttribute('id'),
       sequence: adElement.getAttribute('sequence'),
-      adSystem: this.getTextContent('AdSystem'),
-      adTitle: this.getTextContent('AdTitle'),
-      description: this.getTextContent('Description'),
-      advertiser: this.getTextContent('Advertiser'),
-      pricing: this.getTextContent('Pricing')
+      adSystem: this.getTextContent('AdSystem', adElement),
+      adTitle: this.getTextContent('AdTitle', adElement),
+      description: this.getTextContent('Description', adElement),
+      advertiser: this.getTextContent('Advertiser', adElement),
+      pricing: this.getTextContent('Pricing', adElement)
     };
   }
 
   /**
-   * Parse Creative element (Linear, NonLinear, or CompanionAds)
+   * Parse Wrapper element (redirect to another VAST document)
    */
-  parseCreative() {
-    // Try Linear creative first (video ads)
-    const linear = this.xmlDoc.querySelector('Linear');
-    if (linear) {
-      return {
-        type: 'Linear',
-        duration: this.parseDuration(this.getTextContent('Duration', linear)),
-        skipOffset: linear.getAttribute('skipoffset'),
-        adParameters: this.getTextContent('AdParameters', linear)
-      };
+  parseWrapper(adElement) {
+    const wrapper = adElement.querySelector('Wrapper');
+    if (!wrapper) {
+      return null;
     }
 
-    // Try NonLinear creative (overlay/banner ads)
-    const nonLinear = this.xmlDoc.querySelector('NonLinear');
-    if (nonLinear) {
-      return {
-        type: 'NonLinear',
-        width: nonLinear.getAttribute('width'),
-        height: nonLinear.getAttribute('height'),
-        expandedWidth: nonLinear.getAttribute('expandedWidth'),
-        expandedHeight: nonLinear.getAttribute('expandedHeight'),
-        scalable: nonLinear.getAttribute('scalable') === 'true',
-        maintainAspectRatio: nonLinear.getAttribute('maintainAspectRatio') === 'true'
+    return {
+      adTagUri: this.getTextContent('VASTAdTagURI', wrapper),
+      followAdditionalWrappers: wrapper.getAttribute('followAdditionalWrappers') !== 'false',
+      fallbackOnNoAd: wrapper.getAttribute('fallbackOnNoAd') === 'true'
+    };
+  }
+
+  /**
+   * Parse Creative elements of an Ad (Linear, NonLinearAds or CompanionAds)
+   */
+  parseCreatives(adElement) {
+    const creatives = [];
+
+    adElement.querySelectorAll('Creatives > Creative').forEach(creativeElement => {
+      const base = {
+        id: creativeElement.getAttribute('id'),
+        adId: creativeElement.getAttribute('adId') || creativeElement.getAttribute('AdID'),
+        sequence: creativeElement.getAttribute('sequence')
       };
-    }
 
-    return null;
+      const linear = creativeElement.querySelector('Linear');
+      const nonLinearAds = creativeElement.querySelector('NonLinearAds');
+      const companionAds = creativeElement.querySelector('CompanionAds');
+
+      if (linear) {
+        creatives.push({ ...base, ...this.parseLinear(linear) });
+      } else if (nonLinearAds) {
+        creatives.push({ ...base, ...this.parseNonLinearAds(nonLinearAds) });
+      } else if (companionAds) {
+        creatives.push({ ...base, ...this.parseCompanionAds(companionAds) });
+      }
+    });
+
+    return creatives;
+  }
+
+  /**
+   * Pick the creative that is rendered for an Ad: the first Linear with
+   * media files, else the first NonLinear with a resource, else the first
+   * Linear (Wrapper layers carry no media), else the first NonLinear
+   */
+  selectRenderedCreative(creatives) {
+    return creatives.find(c => c.type === 'Linear' && c.mediaFiles.length > 0)
+      || creatives.find(c => c.type === 'NonLinear' && c.mediaFiles.length > 0)
+      || creatives.find(c => c.type === 'Linear')
+      || creatives.find(c => c.type === 'NonLinear')
+      || null;
+  }
+
+  /**
+   * Parse Linear element (video ads)
+   */
+  parseLinear(linear) {
+    return {
+      type: 'Linear',
+      duration: this.parseDuration(this.getTextContent('Duration', linear)),
+      skipOffset: linear.getAttribute('skipoffset'),
+      adParameters: this.getTextContent('AdParameters', linear),
+      mediaFiles: this.parseMediaFiles(linear),
+      trackingEvents: this.parseTrackingEvents(linear),
+      clickTracking: this.parseClickTracking(linear)
+    };
+  }
+
+  /**
+   * Parse NonLinearAds element (overlay/banner ads)
+   * Attributes of the first NonLinear are exposed on the creative itself.
+   * The resources of all NonLinears are the creative's mediaFiles, so
+   * they are ranked and pre-loaded like Linear MediaFiles.
+   */
+  parseNonLinearAds(nonLinearAds) {
+    const nonLinears = Array.from(nonLinearAds.querySelectorAll('NonLinear')).map(nonLinear => ({
+      id: nonLinear.getAttribute('id'),
+      width: nonLinear.getAttribute('width'),
+      height: nonLinear.getAttribute('height'),
+      expandedWidth: nonLinear.getAttribute('expandedWidth'),
+      expandedHeight: nonLinear.getAttribute('expandedHeight'),
+      scalable: this.getBooleanAttribute(nonLinear, 'scalable'),
+      maintainAspectRatio: this.getBooleanAttribute(nonLinear, 'maintainAspectRatio'),
+      minSuggestedDuration: this.parseDuration(nonLinear.getAttribute('minSuggestedDuration')),
+      resources: this.parseResources(nonLinear)
+    }));
+
+    return {
+      type: 'NonLinear',
+      ...(nonLinears[0] || {}),
+      duration: nonLinears[0] ? nonLinears[0].minSuggestedDuration : 0,
+      nonLinears,
+      mediaFiles: nonLinears.reduce((all, nonLinear) => all.concat(nonLinear.resources), []),
+      trackingEvents: this.parseTrackingEvents(nonLinearAds),
+      clickTracking: {
+        clickThrough: this.getUrls(nonLinearAds, 'NonLinearClickThrough'),
+        clickTracking: this.getUrls(nonLinearAds, 'NonLinearClickTracking')
+      }
+    };
+  }
+
+  /**
+   * Parse CompanionAds element
+   * Companion tracking stays on each companion and is never merged into
+   * the tracking of the rendered Linear/NonLinear creative.
+   */
+  parseCompanionAds(companionAds) {
+    const companions = Array.from(companionAds.querySelectorAll('Companion')).map(companion => ({
+      id: companion.getAttribute('id'),
+      width: parseInt(companion.getAttribute('width')) || null,
+      height: parseInt(companion.getAttribute('height')) || null,
+      adSlotId: companion.getAttribute('adSlotId'),
+      resources: this.parseResources(companion),
+      trackingEvents: this.parseTrackingEvents(companion)
+    }));
+
+    return {
+      type: 'CompanionAds',
+      required: companionAds.getAttribute('required'),
+      companions,
+      mediaFiles: [],
+      trackingEvents: {},
+      clickTracking: { clickThrough: [], clickTracking: [] }
+    };
   }
 
   /**
    * Parse MediaFile elements
    */
-  parseMediaFiles() {
+  parseMediaFiles(linear) {
     const mediaFiles = [];
-    const mediaFileElements = this.xmlDoc.querySelectorAll('MediaFile');
+    const mediaFileElements = linear.querySelectorAll('MediaFile');
 
     mediaFileElements.forEach(element => {
       mediaFiles.push({
@@ -152,8 +540,8 @@ class VASTParser {
         height: parseInt(element.getAttribute('height')) || null,
         codec: element.getAttribute('codec'),
         bitrate: parseInt(element.getAttribute('bitrate')) || null,
-        scalable: element.getAttribute('scalable') === 'true',
-        maintainAspectRatio: element.getAttribute('maintainAspectRatio') === 'true',
+        scalable: this.getBooleanAttribute(element, 'scalable'),
+        maintainAspectRatio: this.getBooleanAttribute(element, 'maintainAspectRatio'),
         apiFramework: element.getAttribute('apiFramework')
       });
     });
@@ -173,11 +561,57 @@ class VASTParser {
   }
 
   /**
-   * Parse tracking events
+   * Parse StaticResource, IFrameResource and HTMLResource of a NonLinear
+   * (or Companion) into media file objects.
+   * Static images keep their creativeType; iframe and HTML resources get
+   * type 'text/html' and are told apart by resourceType. HTMLResource
+   * markup is kept in `html` (url is null).
+   */
+  parseResources(element) {
+    const width = parseInt(element.getAttribute('width')) || null;
+    const height = parseInt(element.getAttribute('height')) || null;
+    const resources = [];
+
+    element.querySelectorAll('StaticResource').forEach(resource => {
+      resources.push({
+        url: resource.textContent.trim(),
+        type: (resource.getAttribute('creativeType') || '').toLowerCase(),
+        resourceType: 'static',
+        width,
+        height
+      });
+    });
+
+    element.querySelectorAll('IFrameResource').forEach(resource => {
+      resources.push({
+        url: resource.textContent.trim(),
+        type: 'text/html',
+        resourceType: 'iframe',
+        width,
+        height
+      });
+    });
+
+    element.querySelectorAll('HTMLResource').forEach(resource => {
+      resources.push({
+        url: null,
+        html: resource.textContent.trim(),
+        type: 'text/html',
+        resourceType: 'html',
+        width,
+        height
+      });
+    });
+
+    return resources.filter(resource => resource.url || resource.html);
+  }
+
+  /**
+   * Parse tracking events of one Linear, NonLinearAds or Companion element
    */
-  parseTrackingEvents() {
+  parseTrackingEvents(parent) {
     const events = {};
-    const trackingElements = this.xmlDoc.querySelectorAll('Tracking');
+    const trackingElements = parent.querySelectorAll('TrackingEvents > Tracking');
 
     trackingElements.forEach(element => {
       const event = element.getAttribute('event');
@@ -189,59 +623,45 @@ class VASTParser {
       events[event].push(url);
     });
 
-    // Also check for Impression tracking
-    const impressionElements = this.xmlDoc.querySelectorAll('Impression');
-    if (impressionElements.length > 0) {
-      events.impression = [];
-      impressionElements.forEach(element => {
-        events.impression.push(element.textContent.trim());
-      });
-    }
-
-    this.log('Tracking events', events);
     return events;
   }
 
   /**
-   * Parse click tracking URLs
+   * Parse click tracking URLs of a Linear element
    */
-  parseClickTracking() {
-    const clickTracking = {
-      clickThrough: [],
-      clickTracking: []
+  parseClickTracking(linear) {
+    return {
+      // VideoClicks > ClickThrough
+      clickThrough: this.getUrls(linear, 'VideoClicks > ClickThrough'),
+      // VideoClicks > ClickTracking
+      clickTracking: this.getUrls(linear, 'VideoClicks > ClickTracking')
     };
-
-    // VideoClicks > ClickThrough
-    const clickThroughElements = this.xmlDoc.querySelectorAll('ClickThrough');
-    clickThroughElements.forEach(element => {
-      clickTracking.clickThrough.push(element.textContent.trim());
-    });
-
-    // VideoClicks > ClickTracking
-    const clickTrackingElements = this.xmlDoc.querySelectorAll('ClickTracking');
-    clickTrackingElements.forEach(element => {
-      clickTracking.clickTracking.push(element.textContent.trim());
-    });
-
-    return clickTracking;
   }
 
   /**
-   * Parse custom extensions (including Adlocaite-specific data)
+   * Custom extensions with every known field unset
    */
-  parseCustomExtensions() {
-    const extensions = {
+  createEmptyExtensions() {
+    return {
       dealId: null,
       offerId: null,
       bidPriceCents: null,
       expiresAt: null,
       billingId: null,
       campaignId: null,
+      fitMode: null,
       adlocaiteData: {}
     };
+  }
+
+  /**
+   * Parse custom extensions (including Adlocaite-specific data) of one Ad
+   */
+  parseCustomExtensions(adElement) {
+    const extensions = this.createEmptyExtensions();
 
     // Look for Extensions element
-    const extensionsElement = this.xmlDoc.querySelector('Extensions');
+    const extensionsElement = adElement.querySelector('InLine > Extensions, Wrapper > Extensions');
     if (!extensionsElement) {
       return extensions;
     }
@@ -290,6 +710,12 @@ class VASTParser {
           extensions.expiresAt = expiresAtElement.textContent.trim() || null;
         }
 
+        // Look for fit_mode (per-creative scaling, see AdlocaitePlayer.FIT_MODES)
+        const fitModeElement = element.querySelector('FitMode, fit_mode');
+        if (fitModeElement) {
+          extensions.fitMode = fitModeElement.textContent.trim().toLowerCase() || null;
+        }
+
         // Store entire extension content
         extensions.adlocaiteData = {
           xml: element.innerHTML,
@@ -299,7 +725,7 @@ class VASTParser {
     });
 
     // Alternative: Look in AdParameters
-    const adParameters = this.xmlDoc.querySelector('AdParameters');
+    const adParameters = adElement.querySelector('AdParameters');
     if (adParameters) {
       try {
         const paramsText = adParameters.textContent.trim();
@@ -314,7 +740,6 @@ class VASTParser {
       }
     }
 
-    this.log('Custom extensions', extensions);
     return extensions;
   }
 
@@ -322,14 +747,15 @@ class VASTParser {
    * Get best media file for playback
    * Prioritizes based on type and quality
    */
-  getBestMediaFile(preferredTypes = ['video/mp4', 'image/jpeg', 'image/png']) {
-    if (!this.parsedData || !this.parsedData.mediaFiles) {
+  getBestMediaFile(preferredTypes = ['video/mp4', 'image/jpeg', 'image/png'], mediaFiles = null) {
+    const candidates = mediaFiles || this.parsedData?.mediaFiles;
+    if (!candidates || candidates.length === 0) {
       return null;
     }
 
     // First, try to find preferred types
     for (const type of preferredTypes) {
-      const match = this.parsedData.mediaFiles.find(mf => mf.type === type);
+      const match = candidates.find(mf => mf.type === type);
       if (match) {
         this.log('Best media file selected', match);
         return match;
@@ -337,11 +763,34 @@ class VASTParser {
     }
 
     // Fallback to first available
-    const fallback = this.parsedData.mediaFiles[0];
+    const fallback = candidates[0];
     this.log('Using fallback media file', fallback);
     return fallback;
   }
 
+  /**
+   * Get the ads to play, in order.
+   * A VAST ad pod (Ads with a sequence attribute) is returned sorted by
+   * sequence; stand-alone ads are ignored when a pod is present. Without
+   * a pod only the first ad is returned. Unresolved Wrappers are skipped.
+   */
+  getPod() {
+    return this.selectPod((this.parsedData?.ads || []).filter(entry => !entry.wrapper));
+  }
+
+  /**
+   * The pod of a list of ad entries in play order (see getPod)
+   */
+  selectPod(ads) {
+    const podAds = ads.filter(entry => entry.ad.sequence);
+
+    if (podAds.length === 0) {
+      return ads.slice(0, 1);
+    }
+
+    return podAds.sort((a, b) => (parseInt(a.ad.sequence) || 0) - (parseInt(b.ad.sequence) || 0));
+  }
+
   /**
    * Check if media file is video
    */
@@ -356,6 +805,13 @@ class VASTParser {
     return mediaFile && mediaFile.type && mediaFile.type.startsWith('image/');
   }
 
+  /**
+   * Check if media file is an HTML creative (HTMLResource, IFrameResource)
+   */
+  isHtml(mediaFile) {
+    return mediaFile && mediaFile.type === 'text/html';
+  }
+
   /**
    * Get deal ID for playout confirmation
    * Note: The backend VAST contains OfferId, not DealId.
@@ -397,6 +853,13 @@ class VASTParser {
     return this.parsedData.trackingEvents[eventName] || [];
   }
 
+  /**
+   * Get Error URLs of the parsed VAST (all Wrapper layers included)
+   */
+  getErrorUrls() {
+    return this.getTrackingUrls('error');
+  }
+
   /**
    * Helper: Get text content of element
    */
@@ -405,6 +868,23 @@ class VASTParser {
     return element ? element.textContent.trim() : null;
   }
 
+  /**
+   * Helper: Boolean attribute value; null when the attribute is absent
+   */
+  getBooleanAttribute(element, name) {
+    const value = element.getAttribute(name);
+    return value === null ? null : value.trim().toLowerCase() === 'true';
+  }
+
+  /**
+   * Helper: Get trimmed text of all elements matching a selector
+   */
+  getUrls(parent, selector) {
+    return Array.from(parent.querySelectorAll(selector))
+      .map(element => element.textContent.trim())
+      .filter(url => url.length > 0);
+  }
+
   /**
    * Helper: Get all attributes of an element
    */
@@ -17,9 +17,16 @@ required_files=(
   "package/js/config.example.js"
   "package/js/adlocaite-api.js"
   "package/js/broadsign-adapter.js"
+  "package/js/vast-macros.js"
   "package/js/vast-parser.js"
+  "package/js/media-selector.js"
+  "package/js/companion-renderer.js"
+  "package/js/offer-lookahead.js"
   "package/js/player.js"
   "package/js/cache-manager.js"
+  "package/js/slot-metrics.js"
+  "package/js/house-ads.js"
+  "package/js/sync-group.js"
   "package/css/styles.css"
   "build.sh"
 )
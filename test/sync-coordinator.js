@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-in sync coordinator for testing video wall playback (syncGroups)
+ *
+ * A dependency-free WebSocket relay, like the coordinator a video wall runs
+ * on its local network:
+ * - Messages with a `group` are forwarded to the other members of that group
+ * - `{ type: 'time', t0 }` is answered with `{ type: 'time', t0, now }`
+ *   (the coordinator's clock is the group clock)
+ *
+ * Set syncCoordinatorUrl: 'ws://127.0.0.1:8090' in package/js/config.js.
+ * Only unfragmented text frames are supported (all a browser sends for
+ * SyncGroup's messages).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.SYNC_PORT || 8090;
+const HOST = process.env.HOST || '127.0.0.1';
+
+// RFC 6455 handshake GUID
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+// Connected clients by group id
+const groups = new Map();
+const clients = new Set();
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('426 Upgrade Required - connect with a WebSocket');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) {
+    socket.destroy();
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  const client = { socket, group: null, member: null, buffer: Buffer.alloc(0) };
+  clients.add(client);
+  console.log(`${new Date().toISOString()} - connected ${req.socket.remoteAddress}`);
+
+  socket.on('data', chunk => {
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+    let frame;
+    while ((frame = readFrame(client))) {
+      handleFrame(client, frame);
+    }
+  });
+  socket.on('close', () => leave(client));
+  socket.on('error', () => leave(client));
+});
+
+/**
+ * Take one complete frame off the client's buffer (client frames are masked)
+ *
+ * @returns {{opcode: number, payload: Buffer}|null} null until a frame is complete
+ */
+function readFrame(client) {
+  const buffer = client.buffer;
+  if (buffer.length < 2) return null;
+
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+
+  client.buffer = buffer.subarray(offset + length);
+  return { opcode, payload };
+}
+
+function writeFrame(socket, opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+
+  if (!socket.destroyed) {
+    socket.write(Buffer.concat([header, payload]));
+  }
+}
+
+function send(client, message) {
+  writeFrame(client.socket, OPCODES.TEXT, Buffer.from(JSON.stringify(message)));
+}
+
+function handleFrame(client, { opcode, payload }) {
+  if (opcode === OPCODES.CLOSE) {
+    writeFrame(client.socket, OPCODES.CLOSE, Buffer.alloc(0));
+    client.socket.end();
+    leave(client);
+  } else if (opcode === OPCODES.PING) {
+    writeFrame(client.socket, OPCODES.PONG, payload);
+  } else if (opcode === OPCODES.TEXT) {
+    let message;
+    try {
+      message = JSON.parse(payload.toString('utf8'));
+    } catch (e) {
+      return;
+    }
+    handleMessage(client, payload.toString('utf8'), message);
+  }
+}
+
+function handleMessage(client, raw, message) {
+  // Clock request: answered, not relayed
+  if (message.type === 'time') {
+    send(client, { type: 'time', t0: message.t0, now: Date.now() });
+    return;
+  }
+  if (!message.group) return;
+
+  if (client.group !== message.group) {
+    leaveGroup(client);
+    client.group = String(message.group);
+    client.member = message.member || null;
+    if (!groups.has(client.group)) groups.set(client.group, new Set());
+    groups.get(client.group).add(client);
+    console.log(`${new Date().toISOString()} - ${client.member} joined ${client.group} (${groups.get(client.group).size} member(s))`);
+  }
+
+  console.log(`${new Date().toISOString()} - ${client.group}: ${message.type} from ${client.member}`);
+  groups.get(client.group).forEach(member => {
+    if (member !== client) {
+      writeFrame(member.socket, OPCODES.TEXT, Buffer.from(raw));
+    }
+  });
+}
+
+function leave(client) {
+  clients.delete(client);
+  leaveGroup(client);
+}
+
+function leaveGroup(client) {
+  const members = client.group && groups.get(client.group);
+  if (!members || !members.delete(client)) return;
+
+  console.log(`${new Date().toISOString()} - ${client.member} left ${client.group}`);
+  if (members.size === 0) groups.delete(client.group);
+}
+
+server.listen(PORT, HOST, () => {
+  console.log(`\n🔗 Sync Coordinator Running`);
+  console.log(`   URL: ws://${HOST}:${PORT}`);
+  console.log(`   Set syncCoordinatorUrl to this URL in package/js/config.js`);
+  console.log(`\n   Press Ctrl+C to stop\n`);
+});
+
+// Graceful shutdown
+process.on('SIGINT', () => {
+  console.log('\n\n👋 Shutting down coordinator...');
+  clients.forEach(client => client.socket.destroy());
+  server.close(() => {
+    console.log('Coordinator stopped');
+    process.exit(0);
+  });
+});